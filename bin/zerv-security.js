@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+'use strict';
+
+require('../lib/security-cli').run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,170 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const Promise = require('promise');
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+
+const appendFile = Promise.denodeify(fs.appendFile);
+const rename = Promise.denodeify(fs.rename);
+const stat = Promise.denodeify(fs.stat);
+
+let sinks = [];
+
+module.exports = {
+    addSink,
+    removeSink,
+    removeAllSinks,
+    emit,
+    createMemorySink,
+    createFileSink
+};
+
+const logger = zlog.getLogger('zerv/security/audit');
+
+/**
+ * Register a sink that will receive every audit event.
+ *
+ * A sink is either a function(event) or an object with a write(event) method.
+ * write might return a promise. A sink failure is logged but never impacts the access decision.
+ *
+ * @param <object|function> sink
+ * @returns <object> the registered sink
+ */
+function addSink(sink) {
+    if (_.isFunction(sink)) {
+        sink = {write: sink};
+    }
+    assert(sink && _.isFunction(sink.write), 'Audit sink must be a function or provide a write function');
+    sinks.push(sink);
+    return sink;
+}
+
+function removeSink(sink) {
+    sinks = _.filter(sinks, (s) => s !== sink && s.write !== sink);
+}
+
+function removeAllSinks() {
+    sinks = [];
+}
+
+/**
+ * Send the event to all registered sinks.
+ *
+ * @param <object> event
+ */
+function emit(event) {
+    sinks.forEach((sink) => {
+        try {
+            const result = sink.write(event);
+            if (result && _.isFunction(result.then)) {
+                result.then(null, (err) => logger.error('Audit sink failed to write event: %s', err.message));
+            }
+        } catch (err) {
+            logger.error('Audit sink failed to write event: %s', err.message);
+        }
+    });
+}
+
+/**
+ * Create a sink that keeps the most recent events in memory.
+ *
+ * @param <object> options
+ * - maxEvents: maximum number of events kept (default 1000), the oldest events are dropped first
+ *
+ * @returns <object> the sink with getEvents(filter) and clear() functions
+ */
+function createMemorySink(options) {
+    const maxEvents = (options && options.maxEvents) || 1000;
+    let events = [];
+    return {
+        write: function(event) {
+            events.push(event);
+            if (events.length > maxEvents) {
+                events.shift();
+            }
+        },
+        // filter is a lodash predicate, ex: {userId: 'id1', outcome: 'denied'}
+        getEvents: function(filter) {
+            return filter ? _.filter(events, filter) : events.slice();
+        },
+        clear: function() {
+            events = [];
+        }
+    };
+}
+
+/**
+ * Create a sink that appends events as JSON lines to a file.
+ *
+ * When the file reaches its maximum size, it is renamed with the .1 suffix, previous rotated files are shifted (.1 -> .2) and the oldest one is dropped.
+ *
+ * @param <object> options
+ * - filename: path of the file
+ * - maxSize: maximum size of the file in bytes before rotation (default 10Mb)
+ * - maxFiles: number of rotated files to keep (default 5)
+ *
+ * @returns <object> the sink with a flush() function returning a promise resolved when all pending events are written.
+ */
+function createFileSink(options) {
+    assert(options && options.filename, 'filename is required to create an audit file sink');
+    const filename = options.filename;
+    const maxSize = options.maxSize || 10 * 1024 * 1024;
+    const maxFiles = options.maxFiles || 5;
+    let size = null;
+    let queue = Promise.resolve();
+
+    return {
+        write: function(event) {
+            const line = JSON.stringify(event) + '\n';
+            // events are written sequentially to keep their order and to rotate safely.
+            queue = queue
+                .then(() => append(line))
+                .then(null, (err) => logger.error('Audit file sink failed to write in %b: %s', filename, err.message));
+            return queue;
+        },
+        flush: function() {
+            return queue;
+        }
+    };
+
+    async function append(line) {
+        if (size === null) {
+            size = await getFileSize(filename);
+        }
+        const length = Buffer.byteLength(line);
+        if (size > 0 && size + length > maxSize) {
+            await rotate();
+            size = 0;
+        }
+        await appendFile(filename, line);
+        size += length;
+    }
+
+    async function rotate() {
+        for (let i = maxFiles - 1; i > 0; i--) {
+            await renameIfExists(filename + '.' + i, filename + '.' + (i + 1));
+        }
+        await renameIfExists(filename, filename + '.1');
+    }
+}
+
+function renameIfExists(filename, newFilename) {
+    return rename(filename, newFilename).then(null, (err) => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    });
+}
+
+function getFileSize(filename) {
+    return stat(filename).then(
+        (stats) => stats.size,
+        (err) => {
+            if (err.code === 'ENOENT') {
+                return 0;
+            }
+            throw err;
+        });
+}
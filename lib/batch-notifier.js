@@ -0,0 +1,73 @@
+'use strict';
+
+const Promise = require('promise');
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_DELAY = 100;
+
+module.exports = {
+    notifyInBatches
+};
+
+const logger = zlog.getLogger('zerv/security/notifier');
+
+/**
+ * Notify a list of users in batches, ex: to push their new security data when a role used by hundreds of users is modified.
+ *
+ * A batch starts once the previous one is complete and after a delay, so that the notifications do not overload the server.
+ * A failing notification does not stop the others, it is reported.
+ *
+ * @param <array> users
+ * @param <function> notify(user) that returns a promise
+ * @param <object> options
+ * - batchSize: number of users notified at the same time (default 50)
+ * - delay: number of milliseconds to wait between two batches (default 100)
+ * - onProgress: (optional) function(progress) called after each batch with {total, processed, notified, failed}
+ *
+ * @returns <promise> resolved with the report
+ * - total: the number of users
+ * - notified: the number of users notified successfully
+ * - failures: [{tenantId, userId, error}] the users who could not be notified
+ */
+async function notifyInBatches(users, notify, options) {
+    options = options || {};
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const delay = _.isFinite(options.delay) ? options.delay : DEFAULT_DELAY;
+    const batches = _.chunk(users, batchSize);
+    const report = {
+        total: users.length,
+        notified: 0,
+        failures: []
+    };
+    for (let i = 0; i < batches.length; i++) {
+        if (i > 0 && delay > 0) {
+            await wait(delay);
+        }
+        await Promise.all(_.map(batches[i], (user) => Promise.resolve()
+            .then(() => notify(user))
+            .then(
+                () => report.notified++,
+                (err) => {
+                    logger.error('Failed to notify SecurityPolicy update to user %b: %s', user.id, err.message);
+                    report.failures.push({tenantId: user.tenantId, userId: user.id, error: err.message});
+                })
+        ));
+        const progress = {
+            total: report.total,
+            processed: report.notified + report.failures.length,
+            notified: report.notified,
+            failed: report.failures.length
+        };
+        logger.debug('SecurityPolicy update notified to %b/%b users.', progress.processed, progress.total);
+        if (options.onProgress) {
+            options.onProgress(progress);
+        }
+    }
+    return report;
+}
+
+function wait(delay) {
+    return new Promise((resolve) => setTimeout(resolve, delay));
+}
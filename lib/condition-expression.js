@@ -0,0 +1,220 @@
+// backend
+if (typeof require !== 'undefined') {
+    module.exports = createConditionExpression();
+} else {
+    window.ConditionExpression = createConditionExpression();
+}
+
+/**
+ *
+ *  A policy setting condition is an expression combining condition functions of the condition factories.
+ *
+ *  - factory.conditionName refers to a condition function
+ *  - !, && and || combine them, parentheses group them
+ *  - any(a, b, ...) is true if one of the expressions is true, all(a, b, ...) if all of them are.
+ *
+ *  ex: ownership.isOwner && !calendar.isWeekend
+ *      any(region.inEU, region.inUK)
+ *
+ *  The evaluation short-circuits: a condition function is not called if the result is already known.
+ *  Condition functions might return a promise, the expression then returns a promise.
+ *
+ */
+function createConditionExpression() {
+    const FUNCTIONS = {
+        any: 'or',
+        all: 'and'
+    };
+
+    return {
+        parse,
+        getReferences,
+        compile
+    };
+
+    /**
+     * @param <string> expression
+     * @returns <object> the syntax tree of the expression
+     * @throws an error if the expression is invalid
+     */
+    function parse(expression) {
+        const tokens = tokenize(expression);
+        let position = 0;
+
+        const tree = parseOr();
+        if (position < tokens.length) {
+            fail('unexpected [' + tokens[position].value + ']');
+        }
+        return tree;
+
+        function parseOr() {
+            const operands = [parseAnd()];
+            while (accept('||')) {
+                operands.push(parseAnd());
+            }
+            return operands.length === 1 ? operands[0] : {type: 'or', operands};
+        }
+
+        function parseAnd() {
+            const operands = [parseUnary()];
+            while (accept('&&')) {
+                operands.push(parseUnary());
+            }
+            return operands.length === 1 ? operands[0] : {type: 'and', operands};
+        }
+
+        function parseUnary() {
+            if (accept('!')) {
+                return {type: 'not', operand: parseUnary()};
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            if (accept('(')) {
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            const token = tokens[position];
+            if (!token || token.type !== 'name') {
+                fail(token ? 'unexpected [' + token.value + ']' : 'unexpected end');
+            }
+            position++;
+            if (accept('(')) {
+                if (!FUNCTIONS[token.value]) {
+                    fail('unknown function [' + token.value + ']');
+                }
+                const operands = [parseOr()];
+                while (accept(',')) {
+                    operands.push(parseOr());
+                }
+                expect(')');
+                return {type: FUNCTIONS[token.value], operands};
+            }
+            const period = token.value.indexOf('.');
+            if (period === -1) {
+                fail('condition [' + token.value + '] must be prefixed with its factory name');
+            }
+            return {
+                type: 'reference',
+                reference: token.value,
+                factory: token.value.substring(0, period),
+                name: token.value.substring(period + 1)
+            };
+        }
+
+        function accept(value) {
+            if (tokens[position] && tokens[position].type === 'operator' && tokens[position].value === value) {
+                position++;
+                return true;
+            }
+            return false;
+        }
+
+        function expect(value) {
+            if (!accept(value)) {
+                fail('[' + value + '] expected');
+            }
+        }
+
+        function fail(reason) {
+            throw new Error('Invalid condition expression [' + expression + ']: ' + reason);
+        }
+    }
+
+    /**
+     * @returns <array> the condition references (factory.conditionName) used in the expression
+     */
+    function getReferences(tree) {
+        switch (tree.type) {
+        case 'reference':
+            return [tree.reference];
+        case 'not':
+            return getReferences(tree.operand);
+        default:
+            return tree.operands.reduce((references, operand) => {
+                getReferences(operand).forEach((reference) => {
+                    if (references.indexOf(reference) === -1) {
+                        references.push(reference);
+                    }
+                });
+                return references;
+            }, []);
+        }
+    }
+
+    /**
+     * Build the function evaluating the expression.
+     *
+     * @param <object> tree of the expression
+     * @param <function> resolve(referenceNode) returns the condition function of a reference
+     *
+     * @returns <function> function(params, contextParams) returning the boolean result or a promise of it
+     */
+    function compile(tree, resolve) {
+        const compiled = compileNode(tree);
+        return function(params, contextParams) {
+            return compiled(params, contextParams);
+        };
+
+        function compileNode(node) {
+            switch (node.type) {
+            case 'reference': {
+                const conditionFn = resolve(node);
+                return (params, contextParams) => conditionFn(params, contextParams);
+            }
+            case 'not': {
+                const operand = compileNode(node.operand);
+                return (params, contextParams) => then(operand(params, contextParams), (value) => !value);
+            }
+            default: {
+                const operands = node.operands.map(compileNode);
+                // "and" stops as soon as an operand is false, "or" as soon as one is true.
+                const stopValue = node.type === 'or';
+                return (params, contextParams) => evaluateSequence(operands, 0, stopValue, params, contextParams);
+            }
+            }
+        }
+    }
+
+    // ////////////////////////////////////////////////
+
+    function evaluateSequence(operands, index, stopValue, params, contextParams) {
+        if (index === operands.length) {
+            return !stopValue;
+        }
+        return then(operands[index](params, contextParams), (value) => {
+            if (!!value === stopValue) {
+                return stopValue;
+            }
+            return evaluateSequence(operands, index + 1, stopValue, params, contextParams);
+        });
+    }
+
+    function then(value, fn) {
+        if (value && typeof value.then === 'function') {
+            return value.then(fn);
+        }
+        return fn(value);
+    }
+
+    function tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(&&|\|\||[!(),])|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*))/y;
+        let position = 0;
+        while (position < expression.length) {
+            if (!expression.substring(position).trim()) {
+                break;
+            }
+            pattern.lastIndex = position;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error('Invalid condition expression [' + expression + ']: unexpected character at position ' + position);
+            }
+            tokens.push(match[1] ? {type: 'operator', value: match[1]} : {type: 'name', value: match[2]});
+            position = pattern.lastIndex;
+        }
+        return tokens;
+    }
+}
@@ -0,0 +1,139 @@
+// backend
+if (typeof require !== 'undefined') {
+    module.exports = createLocatorPattern();
+} else {
+    window.LocatorPattern = createLocatorPattern();
+}
+
+/**
+ *
+ *  Locator patterns allow a dictionary entry to protect a whole namespace of locators.
+ *
+ *  Locators are made of segments separated by a period (ex: api.account.updateOne)
+ *
+ *  - * matches exactly one segment (ex: api.account.* matches api.account.updateOne)
+ *  - ** matches one or more segments, it can only be the last segment (ex: api.** matches api.account.updateOne)
+ *
+ *  When multiple patterns match a locator, the most specific wins:
+ *  the one with more literal segments, then the one without **, then the one with more segments.
+ *
+ */
+function createLocatorPattern() {
+    return {
+        isPattern,
+        validate,
+        matches,
+        compareSpecificity,
+        overlap,
+        findBestMatch
+    };
+
+    function isPattern(locator) {
+        return locator.indexOf('*') !== -1;
+    }
+
+    /**
+     * @throws an error if the pattern is not valid
+     */
+    function validate(pattern) {
+        const segments = pattern.split('.');
+        segments.forEach((segment, index) => {
+            if (segment.indexOf('*') !== -1 && segment !== '*' && segment !== '**') {
+                throw new Error('Wildcard must be a full segment in locator [' + pattern + ']');
+            }
+            if (segment === '**' && index !== segments.length - 1) {
+                throw new Error('** can only be the last segment in locator [' + pattern + ']');
+            }
+            if (!segment.length) {
+                throw new Error('Empty segment in locator [' + pattern + ']');
+            }
+        });
+    }
+
+    function matches(pattern, locator) {
+        return matchSegments(pattern.split('.'), locator.split('.'));
+    }
+
+    /**
+     * @returns a negative number if pattern a is more specific than pattern b, positive if less specific, 0 if they are as specific.
+     */
+    function compareSpecificity(a, b) {
+        const specificityA = getSpecificity(a);
+        const specificityB = getSpecificity(b);
+        for (let i = 0; i < specificityA.length; i++) {
+            if (specificityA[i] !== specificityB[i]) {
+                return specificityB[i] - specificityA[i];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * @returns true if at least one locator could match both patterns
+     */
+    function overlap(a, b) {
+        return overlapSegments(a.split('.'), b.split('.'));
+    }
+
+    /**
+     * find the item with the locator matching the most specifically the provided locator.
+     *
+     * @param <array> items
+     * @param <string> locator
+     * @param <function> getLocator returns the locator or pattern of an item
+     *
+     * @returns the item, or undefined if no item matches
+     */
+    function findBestMatch(items, locator, getLocator) {
+        let bestMatch;
+        for (let i = 0; i < items.length; i++) {
+            const itemLocator = getLocator(items[i]);
+            if (itemLocator === locator) {
+                return items[i];
+            }
+            if (isPattern(itemLocator) && matches(itemLocator, locator) &&
+                (!bestMatch || compareSpecificity(itemLocator, getLocator(bestMatch)) < 0)) {
+                bestMatch = items[i];
+            }
+        }
+        return bestMatch;
+    }
+
+    // ////////////////////////////////////////////////
+
+    function getSpecificity(pattern) {
+        const segments = pattern.split('.');
+        const literals = segments.filter((segment) => segment !== '*' && segment !== '**').length;
+        const noDoubleStar = segments[segments.length - 1] === '**' ? 0 : 1;
+        return [literals, noDoubleStar, segments.length];
+    }
+
+    function matchSegments(patternSegments, segments) {
+        if (patternSegments[0] === '**') {
+            return segments.length > 0;
+        }
+        if (!patternSegments.length || !segments.length) {
+            return !patternSegments.length && !segments.length;
+        }
+        if (patternSegments[0] !== '*' && patternSegments[0] !== segments[0]) {
+            return false;
+        }
+        return matchSegments(patternSegments.slice(1), segments.slice(1));
+    }
+
+    function overlapSegments(a, b) {
+        if (a[0] === '**') {
+            return b.length > 0;
+        }
+        if (b[0] === '**') {
+            return a.length > 0;
+        }
+        if (!a.length || !b.length) {
+            return !a.length && !b.length;
+        }
+        if (a[0] !== '*' && b[0] !== '*' && a[0] !== b[0]) {
+            return false;
+        }
+        return overlapSegments(a.slice(1), b.slice(1));
+    }
+}
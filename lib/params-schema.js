@@ -0,0 +1,137 @@
+'use strict';
+
+const _ = require('lodash');
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+const KEYWORDS = ['type', 'description', 'properties', 'required', 'additionalProperties', 'items', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern'];
+
+module.exports = {
+    checkSchema,
+    validate
+};
+
+/**
+ * Make sure that a params schema is supported.
+ *
+ * A params schema is a subset of JSON schema:
+ * - type: object, array, string, number, integer or boolean
+ * - properties, required and additionalProperties (false only) for objects
+ * - items for arrays
+ * - enum, minimum, maximum, minLength, maxLength and pattern
+ *
+ * ex: {type: 'object', properties: {maxAmount: {type: 'number', minimum: 0}}, required: ['maxAmount']}
+ *
+ * @param <object> schema
+ * @param <string> path of the schema, used in the error message
+ * @throws an error if the schema is not valid
+ */
+function checkSchema(schema, path) {
+    path = path || 'params';
+    if (!_.isPlainObject(schema)) {
+        throw new Error('Schema of ' + path + ' must be an object');
+    }
+    _.forEach(schema, (value, keyword) => {
+        if (KEYWORDS.indexOf(keyword) === -1) {
+            throw new Error('Unsupported keyword [' + keyword + '] in schema of ' + path);
+        }
+    });
+    if (schema.type && TYPES.indexOf(schema.type) === -1) {
+        throw new Error('Unsupported type [' + schema.type + '] in schema of ' + path + '. Supported types are [' + TYPES + ']');
+    }
+    if (!_.isUndefined(schema.additionalProperties) && schema.additionalProperties !== false) {
+        throw new Error('additionalProperties can only be false in schema of ' + path);
+    }
+    if (schema.required && !_.isArray(schema.required)) {
+        throw new Error('required must be an array in schema of ' + path);
+    }
+    if (schema.enum && !_.isArray(schema.enum)) {
+        throw new Error('enum must be an array in schema of ' + path);
+    }
+    if (schema.pattern) {
+        // throws if the regular expression is invalid
+        new RegExp(schema.pattern);
+    }
+    _.forEach(schema.properties, (propertySchema, name) => checkSchema(propertySchema, path + '.' + name));
+    if (schema.items) {
+        checkSchema(schema.items, path + '[]');
+    }
+}
+
+/**
+ * Validate a value against a params schema.
+ *
+ * @param <object> schema
+ * @param <any> value
+ * @param <string> path of the value, used in the error messages
+ *
+ * @returns <array> the error messages, empty if the value is valid
+ */
+function validate(schema, value, path) {
+    path = path || 'params';
+    const errors = [];
+    if (_.isUndefined(value)) {
+        return errors;
+    }
+    if (schema.type && !isType(schema.type, value)) {
+        errors.push(path + ' must be ' + (schema.type === 'object' || schema.type === 'array' ? 'an ' : 'a ') + schema.type);
+        return errors;
+    }
+    if (schema.enum && !_.some(schema.enum, (allowed) => _.isEqual(allowed, value))) {
+        errors.push(path + ' must be one of [' + schema.enum.join(', ') + ']');
+    }
+    if (_.isNumber(value)) {
+        if (_.isNumber(schema.minimum) && value < schema.minimum) {
+            errors.push(path + ' must be greater than or equal to ' + schema.minimum);
+        }
+        if (_.isNumber(schema.maximum) && value > schema.maximum) {
+            errors.push(path + ' must be less than or equal to ' + schema.maximum);
+        }
+    }
+    if (_.isString(value)) {
+        if (_.isNumber(schema.minLength) && value.length < schema.minLength) {
+            errors.push(path + ' must have at least ' + schema.minLength + ' characters');
+        }
+        if (_.isNumber(schema.maxLength) && value.length > schema.maxLength) {
+            errors.push(path + ' must have at most ' + schema.maxLength + ' characters');
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(path + ' must match pattern ' + schema.pattern);
+        }
+    }
+    if (_.isPlainObject(value)) {
+        _.forEach(schema.required, (name) => {
+            if (_.isUndefined(value[name])) {
+                errors.push(path + '.' + name + ' is required');
+            }
+        });
+        _.forEach(value, (propertyValue, name) => {
+            if (schema.properties && schema.properties[name]) {
+                errors.push(...validate(schema.properties[name], propertyValue, path + '.' + name));
+            } else if (schema.additionalProperties === false) {
+                errors.push(path + '.' + name + ' is not allowed');
+            }
+        });
+    }
+    if (_.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(schema.items, item, path + '[' + index + ']')));
+    }
+    return errors;
+}
+
+function isType(type, value) {
+    switch (type) {
+    case 'object':
+        return _.isPlainObject(value);
+    case 'array':
+        return _.isArray(value);
+    case 'string':
+        return _.isString(value);
+    case 'number':
+        return _.isFinite(value);
+    case 'integer':
+        return _.isInteger(value);
+    case 'boolean':
+        return _.isBoolean(value);
+    }
+    return true;
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const Promise = require('promise');
+const _ = require('lodash');
+
+const securityService = require('./security.service');
+
+const ENVIRONMENTS = ['client', 'server'];
+const FORMATS = ['csv', 'json', 'markdown'];
+
+module.exports = {
+    buildRoleMatrix,
+    formatRoleMatrix,
+    exportRoleMatrix
+};
+
+/**
+ * Export the settings each role gives to each protected resource, ex: for security audits.
+ *
+ *  example
+ *
+ *  exportRoleMatrix(roles, {format: 'markdown'}).then((markdown) => fs.writeFileSync('roles.md', markdown));
+ *
+ * @param <array> roles, the role definitions (or names) to evaluate
+ * @param <object> options
+ * - format: csv (default), json or markdown
+ * - tenantId: (optional) the roles are evaluated with the configuration of this tenant
+ *
+ * @returns <promise> the formatted matrix
+ */
+function exportRoleMatrix(roles, options) {
+    options = options || {};
+    return buildRoleMatrix(roles, options).then((matrix) => formatRoleMatrix(matrix, options.format));
+}
+
+/**
+ * Evaluate every role against every protected resource of the dictionary, in both client and server environments.
+ *
+ * Policy conditions are not evaluated, a cell is marked conditional when a condition could change its setting.
+ *
+ * @param <array> roles, the role definitions (or names) to evaluate
+ * @param <object> options
+ * - tenantId: (optional)
+ *
+ * @returns <promise> the matrix
+ * - roles: the role names
+ * - rows: one row by protected resource and environment {resource, locator, env, type, defaultSetting, cells}
+ *   cells is a map by role name of {setting, usedDefault, policy, conditional, conditionalSettings} or {error}
+ */
+function buildRoleMatrix(roles, options) {
+    options = options || {};
+    return Promise.all(_.flatMap(roles, (role) => _.map(ENVIRONMENTS, (env) => securityService.simulate(role, {
+        env,
+        tenantId: options.tenantId,
+        ignoreConditions: true
+    })))).then((simulations) => {
+        const securityConfiguration = securityService.getSecurityConfiguration(options.tenantId);
+        const rows = _.flatMap(ENVIRONMENTS, (env) => _.filter(securityConfiguration.dictionary, (resource) =>
+            securityConfiguration.resourceTypes.find(resource.type).env.indexOf(env) !== -1
+        ).map((resource) => ({
+            resource: resource.name,
+            locator: resource.locator,
+            env,
+            type: resource.type,
+            defaultSetting: resource.defaultSetting,
+            cells: _.reduce(_.filter(simulations, {env}), (cells, simulation) => {
+                const result = simulation.resources[resource.locator];
+                cells[simulation.role] = result.error ? {error: result.error} : {
+                    setting: result.setting,
+                    usedDefault: result.usedDefault,
+                    policy: result.policy,
+                    conditional: result.conditionalSettings.length > 0,
+                    conditionalSettings: result.conditionalSettings
+                };
+                return cells;
+            }, {})
+        })));
+        return {
+            roles: _.uniq(_.map(simulations, 'role')),
+            rows
+        };
+    });
+}
+
+/**
+ * @param <object> matrix built by buildRoleMatrix
+ * @param <string> format: csv (default), json or markdown
+ *
+ * In csv and markdown, a cell shows the setting, followed by:
+ * - (default) when no policy applies and the dictionary default setting is used
+ * - * and the settings conditions could give instead, when the setting depends on a policy condition
+ *
+ * @returns <string>
+ */
+function formatRoleMatrix(matrix, format) {
+    format = format || 'csv';
+    if (FORMATS.indexOf(format) === -1) {
+        throw new Error('Unsupported role matrix format [' + format + ']. Supported formats are [' + FORMATS + ']');
+    }
+    if (format === 'json') {
+        return JSON.stringify(matrix, null, 2);
+    }
+    const header = ['Resource', 'Locator', 'Env', 'Default'].concat(matrix.roles);
+    const lines = _.map(matrix.rows, (row) => [row.resource, row.locator, row.env, row.defaultSetting].concat(
+        _.map(matrix.roles, (role) => formatCell(row.cells[role]))
+    ));
+    if (format === 'csv') {
+        return [header].concat(lines).map((line) => line.map(formatCsvValue).join(',')).join('\n') + '\n';
+    }
+    return [header, _.map(header, () => '---')].concat(lines)
+        .map((line) => '| ' + line.map((value) => String(value).replace(/\|/g, '\\|')).join(' | ') + ' |')
+        .concat(['', '\\* depends on a policy condition, the settings in parentheses might apply instead. (default): no policy applies, the dictionary default setting is used.'])
+        .join('\n') + '\n';
+}
+
+// //////////////////////////////////////////////////
+
+function formatCell(cell) {
+    if (!cell) {
+        return '';
+    }
+    if (cell.error) {
+        return 'ERROR: ' + cell.error;
+    }
+    let text = cell.setting;
+    if (cell.usedDefault) {
+        text += ' (default)';
+    }
+    if (cell.conditional) {
+        text += ' * (' + cell.conditionalSettings.join(', ') + ')';
+    }
+    return text;
+}
+
+function formatCsvValue(value) {
+    value = String(value);
+    return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
@@ -0,0 +1,222 @@
+'use strict';
+
+const assert = require('assert');
+const Promise = require('promise');
+const _ = require('lodash');
+const UUID = require('uuid');
+const zlog = require('zimit-zlog');
+
+const securityService = require('./security.service');
+const SecurityErrors = require('./security-errors');
+
+let store = createMemoryRoleStore();
+
+module.exports = {
+    setStore,
+    createMemoryRoleStore,
+    findRole,
+    findAllRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    cloneRole
+};
+
+const logger = zlog.getLogger('zerv/security/role');
+
+/**
+ * Set the persistence adapter of the roles.
+ *
+ * A role is identified by its name within its tenant, the store must provide the following functions returning promises:
+ * - findAll(tenantId): all the roles of the tenant
+ * - find(tenantId, name): the role or null
+ * - save(tenantId, role): insert or replace the role with the same name, resolves the saved role
+ * - remove(tenantId, name)
+ *
+ * @param <object> roleStore
+ */
+function setStore(roleStore) {
+    assert(roleStore && _.every(['findAll', 'find', 'save', 'remove'], (fn) => _.isFunction(roleStore[fn])), 'Role store must provide findAll, find, save and remove functions');
+    store = roleStore;
+}
+
+/**
+ * Create a store that keeps the roles in memory, it is the default store.
+ *
+ * @param <object> roles (optional) the initial roles by tenantId
+ * @returns <object> the store
+ */
+function createMemoryRoleStore(roles) {
+    const tenantRoles = _.mapValues(roles, (tenantRoleList) => _.cloneDeep(tenantRoleList));
+    return {
+        findAll: function(tenantId) {
+            return Promise.resolve(_.cloneDeep(tenantRoles[tenantId] || []));
+        },
+        find: function(tenantId, name) {
+            return Promise.resolve(_.cloneDeep(_.find(tenantRoles[tenantId], {name}) || null));
+        },
+        save: function(tenantId, role) {
+            const list = _.reject(tenantRoles[tenantId], {name: role.name});
+            list.push(_.cloneDeep(role));
+            tenantRoles[tenantId] = list;
+            return Promise.resolve(_.cloneDeep(role));
+        },
+        remove: function(tenantId, name) {
+            tenantRoles[tenantId] = _.reject(tenantRoles[tenantId], {name});
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * @param <string> tenantId
+ * @param <string> name
+ * @returns <promise> the role or null
+ */
+function findRole(tenantId, name) {
+    return store.find(tenantId, name);
+}
+
+/**
+ * @param <string> tenantId
+ * @returns <promise> the roles of the tenant
+ */
+function findAllRoles(tenantId) {
+    return store.findAll(tenantId);
+}
+
+/**
+ * Create a role after validating it.
+ *
+ * The role receives an id and its first revision so that it can be synced.
+ *
+ * @param <string> tenantId
+ * @param <object> role {name, description, extends, policies}
+ *  policies is an array of {name, settings}, the policy settings are validated against the policy definitions of the tenant.
+ *
+ * @returns <promise> the saved role
+ *  rejected with an InvalidRoleError if the role is invalid
+ */
+function createRole(tenantId, role) {
+    return validate(tenantId, role, true)
+        .then(() => store.save(tenantId, _.assign({}, role, {id: UUID.v4(), revision: 1})))
+        .then((savedRole) => {
+            logger.info('Role %b created in tenant %b', savedRole.name, tenantId);
+            return savedRole;
+        });
+}
+
+/**
+ * Replace the definition of an existing role after validating it, the role is found by its name.
+ *
+ * @param <string> tenantId
+ * @param <object> role
+ *
+ * @returns <promise> the saved role with its new revision
+ *  rejected with a RoleNotFoundError or an InvalidRoleError
+ */
+function updateRole(tenantId, role) {
+    return findExistingRole(tenantId, role.name)
+        .then((existingRole) => validate(tenantId, role, false)
+            .then(() => store.save(tenantId, _.assign({}, role, {id: existingRole.id, revision: existingRole.revision + 1})))
+        )
+        .then((savedRole) => {
+            logger.info('Role %b updated in tenant %b', savedRole.name, tenantId);
+            return savedRole;
+        });
+}
+
+/**
+ * Delete a role, unless other roles extend it.
+ *
+ * @param <string> tenantId
+ * @param <string> name
+ *
+ * @returns <promise> the deleted role
+ *  rejected with a RoleNotFoundError or an InvalidRoleError
+ */
+function deleteRole(tenantId, name) {
+    return Promise.all([findExistingRole(tenantId, name), store.findAll(tenantId)])
+        .then((results) => {
+            const childRoles = _.filter(results[1], {extends: name});
+            if (childRoles.length) {
+                throw new SecurityErrors.InvalidRoleError({
+                    tenantId,
+                    role: name,
+                    errors: _.map(childRoles, (childRole) => 'Role [' + name + '] is extended by role [' + childRole.name + ']')
+                });
+            }
+            return store.remove(tenantId, name).then(() => {
+                logger.info('Role %b deleted in tenant %b', name, tenantId);
+                return results[0];
+            });
+        });
+}
+
+/**
+ * Create a new role with the definition of an existing role.
+ *
+ * @param <string> tenantId
+ * @param <string> name of the role to clone
+ * @param <object> changes, the properties to set in the new role, at least its name
+ *
+ * @returns <promise> the new role
+ */
+function cloneRole(tenantId, name, changes) {
+    return findExistingRole(tenantId, name)
+        .then((role) => createRole(tenantId, _.assign(_.omit(role, ['id', 'revision']), changes)));
+}
+
+// //////////////////////////////////////////////////
+
+function findExistingRole(tenantId, name) {
+    return store.find(tenantId, name).then((role) => {
+        if (!role) {
+            throw new SecurityErrors.RoleNotFoundError({tenantId, role: name});
+        }
+        return role;
+    });
+}
+
+/**
+ * Check the role definition and the inheritance within the tenant roles, then the policy settings as when a user policy is built.
+ */
+function validate(tenantId, role, isNew) {
+    return store.findAll(tenantId).then((roles) => {
+        const errors = [];
+        if (!_.isString(role.name) || !role.name) {
+            errors.push('Name is required');
+        } else if (isNew && _.find(roles, {name: role.name})) {
+            errors.push('Role [' + role.name + '] already exists');
+        }
+        if (!_.isArray(role.policies)) {
+            errors.push('Policies must be an array');
+        } else {
+            errors.push(...securityService.validateRole(role, tenantId));
+        }
+        if (role.extends) {
+            errors.push(...checkInheritance(role, roles));
+        }
+        if (errors.length) {
+            throw new SecurityErrors.InvalidRoleError({tenantId, role: role.name, errors});
+        }
+    });
+}
+
+function checkInheritance(role, roles) {
+    const parentByName = _.mapValues(_.keyBy(roles, 'name'), 'extends');
+    parentByName[role.name] = role.extends;
+    if (!_.has(parentByName, role.extends)) {
+        return ['Role [' + role.extends + '] extended by role [' + role.name + '] does not exist'];
+    }
+    const names = [role.name];
+    let current = role.extends;
+    while (current) {
+        if (names.indexOf(current) !== -1) {
+            return ['Role inheritance cycle detected: ' + names.concat(current).join(' -> ')];
+        }
+        names.push(current);
+        current = parentByName[current];
+    }
+    return [];
+}
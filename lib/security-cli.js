@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlog = require('zimit-zlog');
+const _ = require('lodash');
+const Promise = require('promise');
+
+const securityDefinitionService = require('./security-definition.service');
+const securityService = require('./security.service');
+const roleMatrix = require('./role-matrix');
+
+const writeFile = Promise.denodeify(fs.writeFile);
+
+const USAGE = [
+    'Usage: zerv-security <command> [options]',
+    '',
+    'Commands:',
+    '  lint <config.js> [--fail-on-warnings]   check a security configuration and report its errors and warnings',
+    '  matrix <config.js> [--format=csv|json|markdown] [--output=file] [--tenant=tenantId]',
+    '                                          export the setting each role gives to each protected resource',
+    '',
+    'The config module exports the security configuration (dictionary, resourceTypes, policies, conditionFactories)',
+    'or a function returning it or a promise of it.',
+    'The matrix command also requires the roles to export in the configuration: roles (an array) or findAllRoles(tenantId) returning a promise.'
+].join('\n');
+
+module.exports = {
+    run,
+    lint,
+    exportMatrix
+};
+
+/**
+ * Run a command line.
+ *
+ * @param <array> args the command line arguments (without node and the script)
+ * @param <object> output with log(line) and error(line), defaults to the console
+ *
+ * @returns <promise> with the exit code
+ */
+function run(args, output) {
+    // zlog redirects the console to its root logger, print with the original console instead.
+    output = output || {
+        log: zlog.defaultConsoleLog,
+        error: zlog.defaultConsoleError
+    };
+    const command = args[0];
+    const options = _.filter(args.slice(1), (arg) => arg.indexOf('--') === 0);
+    const params = _.reject(args.slice(1), (arg) => arg.indexOf('--') === 0);
+
+    switch (command) {
+    case 'lint':
+        if (!params[0]) {
+            output.error(USAGE);
+            return Promise.resolve(2);
+        }
+        return lint(params[0], {failOnWarnings: options.indexOf('--fail-on-warnings') !== -1}, output);
+    case 'matrix':
+        if (!params[0]) {
+            output.error(USAGE);
+            return Promise.resolve(2);
+        }
+        return exportMatrix(params[0], {
+            format: getOptionValue(options, 'format'),
+            output: getOptionValue(options, 'output'),
+            tenantId: getOptionValue(options, 'tenant')
+        }, output);
+    default:
+        output.error(USAGE);
+        return Promise.resolve(2);
+    }
+}
+
+/**
+ * Check a security configuration file and print all its errors and warnings.
+ *
+ * @param <string> configFile path of the module exporting the configuration
+ * @param <object> options
+ * - failOnWarnings: warnings also produce a non zero exit code
+ * @param <object> output
+ *
+ * @returns <promise> with the exit code: 0 if the configuration is valid, 1 otherwise
+ */
+function lint(configFile, options, output) {
+    // the definition service logs each error, the report below is enough.
+    zlog.setRootLogger('none');
+    return loadConfigurationModule(configFile)
+        .then((config) => {
+            const result = securityDefinitionService.lint(config);
+            result.errors.forEach((issue) => output.log(formatIssue('ERROR', issue)));
+            result.warnings.forEach((issue) => output.log(formatIssue('WARNING', issue)));
+            output.log(configFile + ': ' + result.errors.length + ' error(s), ' + result.warnings.length + ' warning(s)');
+            return result.errors.length || (options.failOnWarnings && result.warnings.length) ? 1 : 0;
+        })
+        .catch((err) => {
+            output.error('Failed to load security configuration [' + configFile + ']: ' + err.message);
+            return 1;
+        });
+}
+
+/**
+ * Export the role x protected resource matrix of a security configuration.
+ *
+ * @param <string> configFile path of the module exporting the configuration
+ * @param <object> options
+ * - format: csv (default), json or markdown
+ * - output: the file to write, by default the matrix is printed
+ * - tenantId: the roles are evaluated with the configuration of this tenant
+ * @param <object> output
+ *
+ * @returns <promise> with the exit code
+ */
+function exportMatrix(configFile, options, output) {
+    zlog.setRootLogger('none');
+    return loadConfigurationModule(configFile)
+        .then((config) => {
+            if (!config.roles && !_.isFunction(config.findAllRoles)) {
+                throw new Error('The configuration must export roles or findAllRoles(tenantId)');
+            }
+            securityService.load(config);
+            return config.roles || config.findAllRoles(options.tenantId);
+        })
+        .then((roles) => roleMatrix.exportRoleMatrix(roles, options))
+        .then((matrix) => {
+            if (!options.output) {
+                output.log(matrix);
+                return 0;
+            }
+            return writeFile(options.output, matrix).then(() => {
+                output.log('Role matrix written to ' + options.output);
+                return 0;
+            });
+        })
+        .catch((err) => {
+            output.error('Failed to export the role matrix of [' + configFile + ']: ' + err.message);
+            _.forEach(err.errors, (message) => output.error('  ' + message));
+            return 1;
+        });
+}
+
+function getOptionValue(options, name) {
+    const option = _.find(options, (option) => option.indexOf('--' + name + '=') === 0);
+    return option ? option.substring(name.length + 3) : undefined;
+}
+
+function loadConfigurationModule(configFile) {
+    return new Promise((resolve) => {
+        const modulePath = path.resolve(configFile);
+        // the configuration must be read from the file as it is now, not from a previous load
+        delete require.cache[modulePath];
+        const config = require(modulePath);
+        resolve(_.isFunction(config) ? config() : config);
+    });
+}
+
+function formatIssue(level, issue) {
+    return _.padEnd(level, 8) + (issue.section ? issue.section + (issue.name ? ' [' + issue.name + ']' : '') + ': ' : '') + issue.message;
+}
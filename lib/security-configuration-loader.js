@@ -0,0 +1,178 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Promise = require('promise');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const zlog = require('zimit-zlog');
+
+const securityDefinitionService = require('./security-definition.service');
+const SecurityErrors = require('./security-errors');
+
+const readdir = Promise.denodeify(fs.readdir);
+const readFile = Promise.denodeify(fs.readFile);
+
+const SECTIONS = ['dictionary', 'policies', 'resourceTypes'];
+const EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+module.exports = {
+    loadConfigurationDirectory,
+    watchConfigurationDirectory
+};
+
+const logger = zlog.getLogger('zerv/security/loader');
+
+/**
+ * Load the dictionary, policies and resource types from a directory of JSON/YAML files.
+ *
+ * Each section has its own sub directory, the files of a sub directory contain an array of items and are merged in alphabetical order.
+ * ex:  security/dictionary/api.yml
+ *      security/policies/accounting.yml
+ *      security/resourceTypes/api.yml (optional)
+ *
+ * The code of the resource types (apply) and the condition factories are registered JS modules, resolved by name.
+ * A resource type declared in a file is completed with the registered module of the same name.
+ *
+ * The configuration is checked before being returned, each integrity error reports the file and line of the invalid item.
+ *
+ * @param <string> directory
+ * @param <object> registry
+ * - resourceTypes: a map of resource type modules by name (ex: {api: {env: 'server', apply}})
+ * - conditionFactories: a map of condition factory modules by name (ex: {account: {isOwner}})
+ *
+ * @returns <promise> the security configuration {dictionary, policies, resourceTypes, conditionFactories},
+ * to complete with findRole, findRoleByUser, defaultRole... before initializing the policies.
+ * The promise is rejected with an InvalidPolicyError if a file cannot be parsed or the configuration is invalid.
+ */
+function loadConfigurationDirectory(directory, registry) {
+    registry = registry || {};
+    const sources = {};
+    return Promise.all(_.map(SECTIONS, (section) => loadSection(directory, section, sources)))
+        .then((sectionItems) => {
+            const configuration = _.zipObject(SECTIONS, sectionItems);
+            configuration.resourceTypes = resolveResourceTypes(configuration.resourceTypes, registry.resourceTypes);
+            configuration.conditionFactories = _.map(registry.conditionFactories, (conditionFactory, name) => _.assign({factory: name}, conditionFactory));
+
+            const errors = securityDefinitionService.lint(configuration).errors;
+            if (errors.length) {
+                const details = _.map(errors, (error) => _.assign({}, _.get(sources, [error.section, error.name]), error));
+                throw new SecurityErrors.InvalidPolicyError({
+                    errors: _.map(details, formatError),
+                    details
+                });
+            }
+            logger.info('Security configuration loaded from %b', directory);
+            return configuration;
+        });
+}
+
+/**
+ * Reload the configuration directory each time one of its files changes, meant for development.
+ *
+ * @param <string> directory
+ * @param <object> registry, same as loadConfigurationDirectory
+ * @param <function> listener(err, configuration) called after each reload
+ *
+ * @returns <object> the watcher with a close() function
+ */
+function watchConfigurationDirectory(directory, registry, listener) {
+    let timeout;
+    const watchers = _.filter(_.map(SECTIONS, (section) => {
+        const sectionDirectory = path.join(directory, section);
+        if (!fs.existsSync(sectionDirectory)) {
+            return null;
+        }
+        return fs.watch(sectionDirectory, () => {
+            // editors usually write multiple times, reload once they are done.
+            clearTimeout(timeout);
+            timeout = setTimeout(reload, 100);
+        });
+    }));
+
+    function reload() {
+        logger.info('Security configuration directory %b changed, reloading...', directory);
+        loadConfigurationDirectory(directory, registry).then(
+            (configuration) => listener(null, configuration),
+            (err) => {
+                logger.error('Security configuration directory %b is invalid: %s', directory, (err.errors || [err.message]).join('\n'));
+                listener(err);
+            });
+    }
+
+    return {
+        close: () => {
+            clearTimeout(timeout);
+            watchers.forEach((watcher) => watcher.close());
+        }
+    };
+}
+
+// //////////////////////////////////////////////////
+
+function loadSection(directory, section, sources) {
+    const sectionDirectory = path.join(directory, section);
+    return readdir(sectionDirectory)
+        .then(
+            (files) => _.filter(files, (file) => EXTENSIONS.indexOf(path.extname(file)) !== -1).sort(),
+            (err) => {
+                // resource types might only be registered as modules
+                if (err.code === 'ENOENT' && section === 'resourceTypes') {
+                    return [];
+                }
+                throw err;
+            })
+        .then((files) => Promise.all(_.map(files, (file) => loadFile(path.join(sectionDirectory, file), section, sources))))
+        .then(_.flatten);
+}
+
+function loadFile(file, section, sources) {
+    return readFile(file, 'utf8').then((content) => {
+        const lines = new Map();
+        const openedLines = [];
+        let items;
+        try {
+            // JSON is valid YAML, the YAML parser provides the line of each item.
+            items = yaml.safeLoad(content, {
+                filename: file,
+                listener: (eventType, state) => {
+                    if (eventType === 'open') {
+                        openedLines.push(state.line);
+                    } else if (_.isObject(state.result)) {
+                        lines.set(state.result, openedLines.pop() + 1);
+                    } else {
+                        openedLines.pop();
+                    }
+                }
+            });
+        } catch (err) {
+            const details = {file, line: err.mark ? err.mark.line + 1 : null, message: err.reason || err.message};
+            throw new SecurityErrors.InvalidPolicyError({errors: [formatError(details)], details: [details]});
+        }
+        items = items || [];
+        if (!_.isArray(items)) {
+            const details = {file, line: 1, message: 'The file must contain an array of ' + section};
+            throw new SecurityErrors.InvalidPolicyError({errors: [formatError(details)], details: [details]});
+        }
+        items.forEach((item) => {
+            if (item && item.name) {
+                _.set(sources, [section, item.name], {file, line: lines.get(item)});
+            }
+        });
+        return items;
+    });
+}
+
+function resolveResourceTypes(declaredResourceTypes, registeredResourceTypes) {
+    const resourceTypes = _.map(declaredResourceTypes, (resourceType) => _.assign({}, resourceType, _.get(registeredResourceTypes, resourceType.name)));
+    _.forEach(registeredResourceTypes, (resourceType, name) => {
+        if (!_.find(resourceTypes, {name})) {
+            resourceTypes.push(_.assign({name}, resourceType));
+        }
+    });
+    return resourceTypes;
+}
+
+function formatError(error) {
+    return (error.file ? error.file + (error.line ? ':' + error.line : '') + ': ' : '') + error.message;
+}
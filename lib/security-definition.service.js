@@ -3,19 +3,24 @@
 const zlog = require('zimit-zlog'),
     _ = require('lodash');
 
-const UUID = require('uuid');
-
 const assert = require('assert');
+const crypto = require('crypto');
 
+const LocatorPattern = require('./locator-pattern');
+const ConditionExpression = require('./condition-expression');
+const ParamsSchema = require('./params-schema');
+const SecurityErrors = require('./security-errors');
 
-UUID.generate = UUID.v4;
+const CONFLICT_STRATEGIES = ['first', 'most-restrictive', 'most-permissive', 'order', 'error'];
 
 let dictionary,
     resourceTypes,
     policies,
-    conditionFactories;
+    conditionFactories,
+    issues;
 
 module.exports = load;
+module.exports.lint = lint;
 
 const logger = zlog.getLogger('zerv/security/definition');
 
@@ -35,26 +40,101 @@ const logger = zlog.getLogger('zerv/security/definition');
  * - dictionary: an array of protected resource objects
  * - policies: an array of policy objects
  * - resourceSettings: an array of resource type objects
-
+ * - conflicts: the protected resources that policies can set to different settings with the same priority (see analyzeConflicts)
+ *
+ * @throws an InvalidPolicyError listing all integrity errors (errors: the messages, details: the messages with the section and name of the invalid item)
  */
 function load(security) {
+    logger.info('Checking security policy data integrity...');
+    const securityData = validate(security);
+    if (issues.length) {
+        logger.fatal('Security policy data integrity FAILED.');
+        issues.forEach((issue) => logger.error(issue.message));
+        throw new SecurityErrors.InvalidPolicyError({
+            errors: _.map(issues, 'message'),
+            details: issues
+        });
+    }
+    logger.info('Security policy data integrity PASSED.');
+    securityData.conflicts = analyzeConflicts();
+    securityData.conflicts.forEach((conflict) => logger.warn(formatConflict(conflict)));
+    return securityData;
+}
+
+/**
+ * Check the security configuration without loading it.
+ *
+ * Besides the integrity errors, it reports what is valid but most likely a mistake:
+ * - protected resources that no policy references
+ * - resource type settings that no policy sets
+ * - policies without default setting
+ * - settings that can never be applied to a resource because the same policy setting gives it a setting with higher priority
+ * - protected resources that policies can set to different settings with the same priority, when the type conflict strategy does not resolve it deterministically
+ *
+ * @param <object> security, same as load
+ * @returns <object>
+ * - errors: the integrity errors
+ * - warnings
+ * Each of them has a message, the section (resourceTypes, dictionary, policies) and the name of the item concerned.
+ */
+function lint(security) {
+    validate(security);
+    const errors = issues;
+    let warnings = [];
+    try {
+        warnings = collectWarnings();
+    } catch (e) {
+        // the configuration is too broken to analyze it further, errors already report why.
+        logger.debug('Security configuration analysis interrupted: %s', e.message);
+    }
+    return {
+        errors,
+        warnings
+    };
+}
+
+function validate(security) {
+    issues = [];
+    dictionary = [];
+    resourceTypes = [];
+    policies = [];
     try {
-        logger.info('Checking security policy data integrity...');
         initializeResourceTypes(security.resourceTypes, security.conditionFactories);
         initializeDictionary(security.dictionary);
         initializePolicies(security.policies);
-        logger.info('Security policy data integrity PASSED.');
-
-        return {
-            conditionFactories,
-            dictionary,
-            resourceTypes,
-            policies
-        };
     } catch (e) {
-        logger.fatal('Security policy data integrity FAILED.');
-        logger.error(e.stack || e.message);
-        throw new Error('Invalid Application Security Configuration');
+        // the configuration structure is incorrect (ex: missing list)
+        issues.push({message: e.message});
+    }
+    return {
+        conditionFactories,
+        dictionary,
+        resourceTypes,
+        policies
+    };
+}
+
+/**
+ * Run a check and record its error instead of interrupting the validation, so that all errors are reported at once.
+ *
+ * @param <string> section of the configuration (resourceTypes, dictionary, policies)
+ * @param <string> name of the item being checked
+ * @param <string> context added to the error message
+ * @param <function> fn the check
+ *
+ * @returns true if the check passed
+ */
+function check(section, name, context, fn) {
+    try {
+        fn();
+        return true;
+    } catch (e) {
+        issues.push({
+            message: e.message + context,
+            section,
+            name
+        });
+        return false;
     }
 }
 // //////////////////////////////////////////////////
@@ -74,20 +154,19 @@ function initializeResourceTypes(resourceTypeList, conditionFactoryList) {
     resourceTypes.findSetting = findSetting;
 
     _.forEach(resourceTypeList, function(resourceType, typeName) {
-        try {
-            addResourceType(resourceType);
-        } catch (e) {
-            e.message += ' - invalid resource type [' + typeName + ']: ' + JSON.stringify(resourceType);
-            throw e;
-        }
+        check('resourceTypes', resourceType.name, ' - invalid resource type [' + typeName + ']: ' + JSON.stringify(resourceType), () => addResourceType(resourceType));
     });
 
     // function findSetting(resourceType, setting) {
     //     return _.find(resourceType.settings, { value: setting });
     // };
 
+    // the lookup functions are bound to the lists of this load, another configuration might be loaded later (ex: tenant configuration).
+    const typeList = resourceTypes;
+    const factoryList = conditionFactories;
+
     function findSetting(typeName, setting) {
-        return _.find(resourceTypes.find(typeName).settings, {value: setting});
+        return _.find(typeList.find(typeName).settings, {value: setting});
     };
 
     function findResourceType(type) {
@@ -99,7 +178,7 @@ function initializeResourceTypes(resourceTypeList, conditionFactoryList) {
         //     };
         // }
 
-        const definition = _.find(resourceTypes, {name: type});
+        const definition = _.find(typeList, {name: type});
         if (!definition) {
             throw new Error('Undefined resource type [' + type + '].');
         }
@@ -107,7 +186,7 @@ function initializeResourceTypes(resourceTypeList, conditionFactoryList) {
     };
 
     function findConditionFactory(factoryName) {
-        const factory = _.find(conditionFactories, {factory: factoryName});
+        const factory = _.find(factoryList, {factory: factoryName});
         if (!factory) {
             throw new Error('Undefined condition factory [' + factoryName + ']. Check your security config.');
         }
@@ -124,9 +203,37 @@ function addResourceType(resourceTypeData) {
     if (resourceType.env.indexOf('server') !== -1) {
         assert(_.isFunction(resourceType.apply), 'Apply function is required in server protected resource type');
     }
+    if (resourceType.conflictStrategy) {
+        checkConflictStrategy(resourceType);
+    }
     resourceTypes.push(resourceType);
 }
 
+/**
+ * Make sure that the conflict strategy of the resource type can rank its settings.
+ *
+ * - most-restrictive and most-permissive require restrictionOrder, the settings from the most restrictive to the most permissive
+ * - order requires tieBreakOrder, the settings from the one winning ties to the one losing them
+ */
+function checkConflictStrategy(resourceType) {
+    assert(CONFLICT_STRATEGIES.indexOf(resourceType.conflictStrategy) !== -1, 'Unsupported conflictStrategy [' + resourceType.conflictStrategy + ']. Supported strategies are [' + CONFLICT_STRATEGIES + ']');
+    const rankingProperty = {
+        'most-restrictive': 'restrictionOrder',
+        'most-permissive': 'restrictionOrder',
+        'order': 'tieBreakOrder'
+    }[resourceType.conflictStrategy];
+    if (!rankingProperty) {
+        return;
+    }
+    const ranking = resourceType[rankingProperty];
+    const settingValues = _.map(resourceType.settings, 'value');
+    assert(_.isArray(ranking), rankingProperty + ' is required by conflictStrategy [' + resourceType.conflictStrategy + ']');
+    assert(
+        ranking.length === settingValues.length && !_.xor(ranking, settingValues).length,
+        rankingProperty + ' must list each setting of the type once [' + settingValues + ']'
+    );
+}
+
 
 /**
  * Make sure that the dictionary is valid.
@@ -135,14 +242,11 @@ function addResourceType(resourceTypeData) {
 function initializeDictionary(protectedResources) {
     dictionary = [];
     dictionary.findProtectedResourceByName = findProtectedResourceByName;
+    const resourceList = dictionary;
     protectedResources.forEach((protectedResource) => {
-        try {
-            addResourceToDictionary(protectedResource);
-        } catch (e) {
-            e.message += ' - invalid protected resource in dictionary: ' + JSON.stringify(protectedResource);
-            throw e;
-        }
+        check('dictionary', protectedResource.name, ' - invalid protected resource in dictionary: ' + JSON.stringify(protectedResource), () => addResourceToDictionary(protectedResource));
     });
+    checkLocatorPatterns(dictionary);
 
 
     /**
@@ -150,7 +254,7 @@ function initializeDictionary(protectedResources) {
      *
      */
     function findProtectedResourceByName(name) {
-        const protectedResource = _.find(dictionary, {name: name});
+        const protectedResource = _.find(resourceList, {name: name});
         // if (!protectedResource) {
         //     throw new Error('Undefined protected resource in the dictionary:' + name);
         // }
@@ -165,7 +269,13 @@ function addResourceToDictionary(protectedResourceData) {
 
     assert(protectedResource.type, 'type is required');
     assert(protectedResource.locator, 'locator is required');
+    if (LocatorPattern.isPattern(protectedResource.locator)) {
+        LocatorPattern.validate(protectedResource.locator);
+    }
     assert(protectedResource.defaultSetting, 'defaultSetting is required');
+    if (protectedResource.contextParams) {
+        assert(_.isArray(protectedResource.contextParams) && _.every(protectedResource.contextParams, _.isString), 'contextParams must be an array of context param names');
+    }
     const resourceType = resourceTypes.find(protectedResource.type);
     assert(resourceType, 'Provided type is unknown');
     // protectedResource.type = resourceType;
@@ -177,10 +287,32 @@ function addResourceToDictionary(protectedResourceData) {
 
     assert(!_.find(dictionary, {name: protectedResource.name}), 'Duplicated protected resource [' + protectedResource.name + ']');
 
-    protectedResource.id = UUID.generate();
+    // the id must not change between loads, it is part of the content synced to the clients.
+    protectedResource.id = crypto.createHash('sha1').update('resource:' + protectedResource.name).digest('hex');
     dictionary.push(protectedResource);
 }
 
+/**
+ * Make sure that a locator always resolves to a single protected resource.
+ *
+ * Two patterns that can match the same locator must not be as specific as each other, otherwise the protected resource to use would be ambiguous.
+ */
+function checkLocatorPatterns(protectedResources) {
+    const patternResources = _.filter(protectedResources, (protectedResource) => LocatorPattern.isPattern(protectedResource.locator));
+    patternResources.forEach((protectedResource, index) => {
+        patternResources.slice(index + 1).forEach((otherResource) => {
+            const a = protectedResource.locator;
+            const b = otherResource.locator;
+            check('dictionary', otherResource.name, '', () => {
+                assert(a !== b, 'Duplicated locator pattern [' + a + '] in protected resources [' + protectedResource.name + '] and [' + otherResource.name + ']');
+                assert(
+                    LocatorPattern.compareSpecificity(a, b) !== 0 || !LocatorPattern.overlap(a, b),
+                    'Ambiguous locator patterns [' + a + '] of protected resource [' + protectedResource.name + '] and [' + b + '] of protected resource [' + otherResource.name + ']: they can match the same locators with the same specificity'
+                );
+            });
+        });
+    });
+}
 
 // ---------------------------------------------------------------------------------------
 /**
@@ -189,12 +321,7 @@ function addResourceToDictionary(protectedResourceData) {
 function initializePolicies(policyList) {
     policies = [];
     policyList.forEach((policy) => {
-        try {
-            addPolicy(policy);
-        } catch (e) {
-            e.message += ' - invalid policy [' + policy.name + ']';
-            throw e;
-        }
+        check('policies', policy.name, ' - invalid policy [' + policy.name + ']', () => addPolicy(policy));
     });
     // return policies;
 }
@@ -223,40 +350,66 @@ function addPolicy(policy) {
 
 
     policy.settings.forEach((config) => {
-        try {
-            checkPolicySetting(config);
-        } catch (e) {
-            e.message += ' - invalid policy setting: ' + JSON.stringify(config);
-            throw e;
-        }
+        const context = ' - invalid policy setting: ' + JSON.stringify(config) + ' - invalid policy [' + policy.name + ']';
+        check('policies', policy.name, context, () => checkPolicySetting(config, policy, context));
     });
     if (policy.defaultSetting) {
-        assert(_.find(policy.settings, {setting: policy.defaultSetting}), 'defaultSetting [' + policy.defaultSetting + '] is incorrect');
+        const defaultSettingConfig = _.find(policy.settings, {setting: policy.defaultSetting});
+        assert(defaultSettingConfig, 'defaultSetting [' + policy.defaultSetting + '] is incorrect');
+        checkDefaultSettingParams(defaultSettingConfig, policy);
     }
 
     policies.push(policy);
 }
 
-function checkPolicySetting(config) {
+/**
+ * The roles not selecting any setting of the policy get its default setting with its own params.
+ *
+ * Those params are checked the same way as when a user policy is built (missing params are validated as an empty object),
+ * otherwise every user would fail at runtime.
+ */
+function checkDefaultSettingParams(config, policy) {
+    const schema = config.paramsSchema;
+    if (!schema) {
+        return;
+    }
+    const errors = ParamsSchema.validate(schema, _.isUndefined(config.params) && schema.type === 'object' ? {} : config.params);
+    assert(!errors.length, 'Invalid params for policy [' + policy.name + '] defaultSetting [' + config.setting + ']: ' + errors.join(', '));
+}
+
+function checkPolicySetting(config, policy, context) {
     assert(config.setting, 'setting is required in policy settings');
+    let conditionReferences = [];
+    if (config.condition) {
+        // throws if the expression syntax is incorrect
+        conditionReferences = ConditionExpression.getReferences(ConditionExpression.parse(config.condition));
+    }
+    if (config.paramsSchema) {
+        ParamsSchema.checkSchema(config.paramsSchema);
+        if (config.params) {
+            const errors = ParamsSchema.validate(config.paramsSchema, config.params);
+            assert(!errors.length, 'Invalid params: ' + errors.join(', '));
+        }
+    }
 
     // a policy might have a setting that does not list protected resource. It is fine.
     // it is useful if the default behavior is preferred. ex by admin console is disable in the protected resource.
     if (!config.protectedResources) {
         config.protectedResources = [];
     } else {
+        // the condition of a setting protecting server resources is evaluated by the server, it must be implemented by its condition factories.
+        // the conditions only evaluated by the client are implemented in the front end.
+        const requiredContextParams = _.some(config.protectedResources, isServerProtectedResource) ?
+            _.uniq(_.flatMap(conditionReferences, resolveConditionReference)) :
+            [];
+        const condition = config.condition;
         config.protectedResources.forEach((config) => {
-            try {
-                checkPolicyProtectedResource(config);
-            } catch (e) {
-                e.message += ' - invalid protected resource [' + config.resource + ']';
-                throw e;
-            }
+            check('policies', policy.name, ' - invalid protected resource [' + config.resource + ']' + context, () => checkPolicyProtectedResource(config, condition, requiredContextParams));
         });
     }
 }
 
-function checkPolicyProtectedResource(config) {
+function checkPolicyProtectedResource(config, condition, requiredContextParams) {
     const protectedResource = dictionary.findProtectedResourceByName(config.resource);
     assert(protectedResource, 'Resource [' + config.resource + '] is not defined in the dictionary');
     assert(config.setting, 'Setting is required');
@@ -264,5 +417,158 @@ function checkPolicyProtectedResource(config) {
     // check if protected resource used by policy is set with correct setting
     const resourceType = resourceTypes.find(protectedResource.type);
     assert(resourceTypes.findSetting(protectedResource.type, config.setting), 'Resource [' + config.resource + '] uses an undefined setting [' + config.setting + ']. Allowed values by its type [' + resourceType.name + '] are [' + _.map(resourceType.settings, 'value') + ']');
+
+    // the dictionary entry might declare the context params passed when the resource is applied.
+    if (protectedResource.contextParams) {
+        const missingContextParams = _.difference(requiredContextParams, protectedResource.contextParams);
+        assert(!missingContextParams.length, 'Resource [' + config.resource + '] does not provide the context params [' + missingContextParams + '] required by condition [' + condition + ']. Its contextParams are [' + protectedResource.contextParams + ']');
+    }
 }
 
+function isServerProtectedResource(config) {
+    const protectedResource = dictionary.findProtectedResourceByName(config.resource);
+    return !!protectedResource && resourceTypes.find(protectedResource.type).env.indexOf('server') !== -1;
+}
+
+/**
+ * Make sure that a condition reference (factory.conditionName) resolves to a condition function.
+ *
+ * A condition function might declare the context params it needs.
+ * ex: isOwner.requiredContextParams = ['account']
+ *
+ * @param <string> reference
+ * @returns <array> the context params required by the condition function
+ */
+function resolveConditionReference(reference) {
+    const period = reference.indexOf('.');
+    const factoryName = reference.substring(0, period);
+    const conditionFn = conditionFactories.find(factoryName)[reference.substring(period + 1)];
+    assert(_.isFunction(conditionFn), 'Condition [' + reference + '] is not a function of condition factory [' + factoryName + ']');
+
+    const requiredContextParams = conditionFn.requiredContextParams || [];
+    assert(_.isArray(requiredContextParams) && _.every(requiredContextParams, _.isString), 'requiredContextParams of condition [' + reference + '] must be an array of context param names');
+    return requiredContextParams;
+}
+
+// ---------------------------------------------------------------------------------------
+/**
+ * Find what is valid in the loaded configuration but most likely a mistake.
+ */
+function collectWarnings() {
+    const warnings = [];
+    const referencedResources = {};
+    const usedSettings = {};
+
+    policies.forEach((policy) => {
+        if (!policy.defaultSetting) {
+            warnings.push({
+                message: 'Policy [' + policy.name + '] has no defaultSetting. Its protected resources use their dictionary default setting for roles not selecting it.',
+                section: 'policies',
+                name: policy.name
+            });
+        }
+        policy.settings.forEach((config) => {
+            _.forEach(_.groupBy(config.protectedResources, 'resource'), (resourceConfigs, resourceName) => {
+                referencedResources[resourceName] = true;
+                const protectedResource = dictionary.findProtectedResourceByName(resourceName);
+                if (!protectedResource) {
+                    return;
+                }
+                resourceConfigs.forEach((resourceConfig) => _.set(usedSettings, [protectedResource.type, resourceConfig.setting], true));
+                // the lowest priority value wins, the first one listed when equal.
+                const sortedConfigs = _.sortBy(resourceConfigs, (resourceConfig) => _.get(resourceTypes.findSetting(protectedResource.type, resourceConfig.setting), 'priority'));
+                sortedConfigs.slice(1).forEach((resourceConfig) => {
+                    warnings.push({
+                        message: 'Setting [' + resourceConfig.setting + '] of resource [' + resourceName + '] is unreachable in policy [' + policy.name + '] setting [' + config.setting + ']: the same policy setting gives the resource the setting [' + sortedConfigs[0].setting + '] which takes precedence',
+                        section: 'policies',
+                        name: policy.name
+                    });
+                });
+            });
+        });
+    });
+
+    dictionary.forEach((protectedResource) => {
+        if (!referencedResources[protectedResource.name]) {
+            warnings.push({
+                message: 'Protected resource [' + protectedResource.name + '] is not referenced by any policy',
+                section: 'dictionary',
+                name: protectedResource.name
+            });
+        }
+    });
+
+    resourceTypes.forEach((resourceType) => {
+        _.forEach(resourceType.settings, (setting) => {
+            if (!_.get(usedSettings, [resourceType.name, setting.value])) {
+                warnings.push({
+                    message: 'Setting [' + setting.value + '] of resource type [' + resourceType.name + '] is not set by any policy',
+                    section: 'resourceTypes',
+                    name: resourceType.name
+                });
+            }
+        });
+    });
+
+    analyzeConflicts().forEach((conflict) => {
+        if (conflict.strategy === 'first' || conflict.strategy === 'error') {
+            warnings.push({
+                message: formatConflict(conflict),
+                section: 'dictionary',
+                name: conflict.resource
+            });
+        }
+    });
+    return warnings;
+}
+
+/**
+ * List every protected resource that two policy settings can set to different settings with the same priority.
+ *
+ * When a user has both policy settings enabled, the conflict strategy of the resource type determines the setting.
+ *
+ * @returns <array> of conflicts
+ * - resource: the name of the protected resource
+ * - type: its resource type name
+ * - strategy: the conflict strategy of the type
+ * - priority
+ * - candidates: the {policy, policySetting, setting} in conflict
+ */
+function analyzeConflicts() {
+    const conflicts = [];
+    dictionary.forEach((protectedResource) => {
+        const resourceType = resourceTypes.find(protectedResource.type);
+        const candidates = [];
+        policies.forEach((policy) => {
+            policy.settings.forEach((config) => {
+                _.filter(config.protectedResources, {resource: protectedResource.name}).forEach((resourceConfig) => {
+                    candidates.push({
+                        policy: policy.name,
+                        policySetting: config.setting,
+                        setting: resourceConfig.setting,
+                        priority: _.get(resourceTypes.findSetting(resourceType.name, resourceConfig.setting), 'priority')
+                    });
+                });
+            });
+        });
+        _.forEach(_.groupBy(candidates, 'priority'), (tiedCandidates) => {
+            // a single policy setting giving a resource multiple settings is reported as unreachable settings.
+            if (_.uniqBy(tiedCandidates, 'setting').length > 1 && _.uniqBy(tiedCandidates, (candidate) => candidate.policy + '/' + candidate.policySetting).length > 1) {
+                conflicts.push({
+                    resource: protectedResource.name,
+                    type: resourceType.name,
+                    strategy: resourceType.conflictStrategy || 'first',
+                    priority: tiedCandidates[0].priority,
+                    candidates: _.map(tiedCandidates, (candidate) => _.omit(candidate, 'priority'))
+                });
+            }
+        });
+    });
+    return conflicts;
+}
+
+function formatConflict(conflict) {
+    return 'Protected resource [' + conflict.resource + '] can be set to conflicting settings with priority ' + conflict.priority + ' by ' +
+        _.map(conflict.candidates, (candidate) => '[' + candidate.policy + '/' + candidate.policySetting + ': ' + candidate.setting + ']').join(', ') +
+        ' - resolved by conflict strategy [' + conflict.strategy + ']';
+}
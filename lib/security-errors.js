@@ -0,0 +1,128 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Errors raised by the security module.
+ *
+ * Each error has:
+ * - code: a stable identifier to test instead of the message
+ * - status: the suggested HTTP status to respond with
+ * - the structured fields of the error (ex: locator, userId, setting, policy)
+ *
+ * ex: applyResourcePolicy(user, 'api.account.updateOne', {account}).catch((err) => {
+ *         if (err instanceof ResourceDeniedError) { ... }
+ *     });
+ */
+class SecurityError extends Error {
+    constructor(code, message, status, fields) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        _.assign(this, fields);
+    }
+
+    toJSON() {
+        return _.assign({error: this.code, message: this.message}, _.omitBy(_.omit(this, ['name', 'code', 'status', 'cause']), _.isUndefined));
+    }
+}
+
+/**
+ * The user policy denies the protected resource.
+ *
+ * The message remains RESOURCE_DENIED for the code matching on the message.
+ *
+ * @param <object> fields
+ * - locator, userId, tenantId
+ * - resource: the name of the protected resource (if known)
+ * - setting: the setting value that denied the resource
+ * - policy: {name, setting} of the policy that decided the setting, null if the default setting was used
+ * - reason: (optional) why the resource is denied without evaluating the policy (NO_ROLE, UNKNOWN_LOCATOR)
+ */
+class ResourceDeniedError extends SecurityError {
+    constructor(fields) {
+        super('RESOURCE_DENIED', 'RESOURCE_DENIED', 403, fields);
+    }
+}
+
+/**
+ * The locator does not match any protected resource of the dictionary (available to the environment).
+ *
+ * @param <object> fields
+ * - locator, userId, tenantId
+ */
+class UnknownProtectedResourceError extends SecurityError {
+    constructor(fields) {
+        super('UNKNOWN_PROTECTED_RESOURCE', 'Protected resource [' + fields.locator + '] undefined', 500, fields);
+    }
+}
+
+/**
+ * The security configuration is invalid.
+ *
+ * @param <object> fields
+ * - errors: the messages of all integrity errors
+ * - details: the integrity errors with the section and name of the invalid items
+ * - tenantId: (only for tenant configurations) the tenant whose overrides are invalid
+ */
+class InvalidPolicyError extends SecurityError {
+    constructor(fields) {
+        super('INVALID_POLICY', 'Invalid Application Security Configuration', 500, fields);
+    }
+}
+
+/**
+ * A policy condition failed while calculating the setting of a protected resource.
+ *
+ * The message is the message of the condition error.
+ *
+ * @param <Error> cause the error thrown or rejected by the condition
+ * @param <object> fields
+ * - locator, userId, tenantId
+ * - policy: {name, setting} of the policy setting with the condition
+ * - condition: the condition expression
+ */
+class ConditionEvaluationError extends SecurityError {
+    constructor(cause, fields) {
+        super('CONDITION_EVALUATION_FAILED', cause.message, 500, fields);
+        this.cause = cause;
+    }
+}
+
+/**
+ * A role cannot be saved, its definition or its policy settings are invalid.
+ *
+ * @param <object> fields
+ * - tenantId
+ * - role: the name of the role
+ * - errors: the validation error messages
+ */
+class InvalidRoleError extends SecurityError {
+    constructor(fields) {
+        super('INVALID_ROLE', 'Invalid role [' + fields.role + ']: ' + fields.errors.join(', '), 400, fields);
+    }
+}
+
+/**
+ * The role does not exist in the role store.
+ *
+ * @param <object> fields
+ * - tenantId
+ * - role: the name of the role
+ */
+class RoleNotFoundError extends SecurityError {
+    constructor(fields) {
+        super('ROLE_NOT_FOUND', 'Role [' + fields.role + '] does not exist', 404, fields);
+    }
+}
+
+module.exports = {
+    SecurityError,
+    ResourceDeniedError,
+    UnknownProtectedResourceError,
+    InvalidPolicyError,
+    ConditionEvaluationError,
+    InvalidRoleError,
+    RoleNotFoundError
+};
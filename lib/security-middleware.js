@@ -0,0 +1,137 @@
+'use strict';
+
+const Promise = require('promise');
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+
+const securityService = require('./security.service');
+const LocatorPattern = require('./locator-pattern');
+const SecurityErrors = require('./security-errors');
+
+// locators protected by a route or an api
+const boundLocators = new Set();
+
+module.exports = {
+    protectRoute,
+    protectApi,
+    findUnboundProtectedResources,
+    reportUnboundProtectedResources
+};
+
+const logger = zlog.getLogger('zerv/security/middleware');
+
+/**
+ * Create an express middleware that applies the user policy to the protected resource of the route.
+ *
+ *  example
+ *
+ *  router.put('/accounts/:id', protectRoute('api.account.updateOne', (req) => ({accountId: req.params.id})), updateAccount);
+ *
+ * @param <string|function> locator of the protected resource in the dictionary, or a function(req) returning it (ex: based on the route name)
+ * @param <function> contextMapper (optional), function(req) returning the context params (or a promise) necessary to calculate the setting
+ * @param <object> options (optional)
+ * - getUser: function(req) returning the user, by default req.user
+ * - locators: the list of locators a locator function might return, used to report unbound protected resources
+ *
+ * @returns <function> the middleware. When the resource is denied, it responds with a 403 status, other errors are passed to next() (security errors have a suggested http status).
+ */
+function protectRoute(locator, contextMapper, options) {
+    options = options || {};
+    const getUser = options.getUser || ((req) => req.user);
+    bindLocators(locator, options.locators);
+
+    return function(req, res, next) {
+        const protectedResourceLocator = _.isFunction(locator) ? locator(req) : locator;
+        applyPolicy(getUser(req), protectedResourceLocator, contextMapper, [req])
+            .then((policy) => {
+                req.securityPolicy = policy;
+                next();
+            })
+            .catch((err) => {
+                if (!(err instanceof SecurityErrors.ResourceDeniedError)) {
+                    return next(err);
+                }
+                res.status(err.status).json({
+                    error: err.code,
+                    locator: protectedResourceLocator
+                });
+            });
+    };
+}
+
+/**
+ * Wrap a zerv-core api handler so that the user policy is applied to its protected resource before the handler runs.
+ *
+ *  example
+ *
+ *  zervCore.apiRouter('account', {
+ *      updateOne: protectApi('api.account.updateOne', (tenantId, user, params) => ({account: params}), updateAccount)
+ *  });
+ *
+ * @param <string|function> locator of the protected resource in the dictionary, or a function receiving the handler arguments and returning it
+ * @param <function> contextMapper (optional), function receiving the handler arguments and returning the context params (or a promise)
+ * @param <function> handler is the api implementation, by default called with (tenantId, user, params)
+ * @param <object> options (optional)
+ * - getUser: function receiving the handler arguments and returning the user, by default the second argument
+ * - locators: the list of locators a locator function might return, used to report unbound protected resources
+ *
+ * @returns <function> the handler. When the resource is denied, it rejects with a ResourceDeniedError.
+ */
+function protectApi(locator, contextMapper, handler, options) {
+    options = options || {};
+    const getUser = options.getUser || ((tenantId, user) => user);
+    bindLocators(locator, options.locators);
+
+    return function() {
+        const args = Array.prototype.slice.call(arguments);
+        const protectedResourceLocator = _.isFunction(locator) ? locator.apply(this, args) : locator;
+        return applyPolicy(getUser.apply(this, args), protectedResourceLocator, contextMapper, args)
+            .then(() => handler.apply(this, args));
+    };
+}
+
+/**
+ * @returns <array> the server protected resources of the dictionary that are not protected by any route or api
+ */
+function findUnboundProtectedResources() {
+    const securityConfiguration = securityService.getSystemSecurityConfiguration();
+    const locators = Array.from(boundLocators);
+    return _.filter(securityConfiguration.dictionary, (resource) =>
+        securityConfiguration.resourceTypes.find(resource.type).env.indexOf('server') !== -1 &&
+        !boundLocators.has(resource.locator) &&
+        // a dictionary pattern (ex: api.account.*) is bound if a route is bound to one of the locators it matches
+        !(LocatorPattern.isPattern(resource.locator) && _.some(locators, (locator) => LocatorPattern.matches(resource.locator, locator)))
+    );
+}
+
+/**
+ * Log the server protected resources that no route or api is bound to.
+ *
+ * To call once all routes and apis are registered, usually at server startup.
+ *
+ * @returns <array> the unbound protected resources
+ */
+function reportUnboundProtectedResources() {
+    const unboundResources = findUnboundProtectedResources();
+    if (unboundResources.length) {
+        logger.warn('%b server protected resources are not bound to any route or api: %b', unboundResources.length, _.map(unboundResources, 'locator').join(', '));
+    } else {
+        logger.info('All server protected resources are bound to a route or an api.');
+    }
+    return unboundResources;
+}
+
+// //////////////////////////////////////////////////
+
+function bindLocators(locator, locators) {
+    if (_.isString(locator)) {
+        boundLocators.add(locator);
+    }
+    _.forEach(locators, (l) => boundLocators.add(l));
+}
+
+function applyPolicy(user, locator, contextMapper, args) {
+    return Promise.resolve()
+        .then(() => contextMapper ? contextMapper(...args) : {})
+        .then((contextParams) => securityService.applyResourcePolicy(user, locator, contextParams));
+}
@@ -1,21 +1,52 @@
 'use strict';
 
 const assert = require('assert');
+const crypto = require('crypto');
 const Promise = require('promise');
 const _ = require('lodash');
 
 const UserPolicy = require('./user-policy.model');
+const ParamsSchema = require('./params-schema');
 const initSecurity = require('./security-definition.service');
+const createUserPolicyCache = require('./user-policy-cache');
+const audit = require('./audit.service');
+const SecurityErrors = require('./security-errors');
 const zlog = require('zimit-zlog');
 
 let findRole,
-    systemSecurityData;
+    findDefaultRole,
+    findRoleByName,
+    systemConfiguration,
+    systemSecurityData,
+    tenantOverrides = {},
+    tenantSecurityData = {},
+    userPolicyCache = createUserPolicyCache();
+
+const CLIENT_PAYLOAD_FORMATS = ['full', 'compact'];
 
 module.exports = {
     collectClientUserPolicy,
+    diffClientUserPolicy,
     applyResourcePolicy,
+    applyResourcePolicies,
+    explainResourcePolicy,
+    simulate,
+    flattenRole,
+    validateRole,
     load,
+    reload,
     getSystemSecurityConfiguration,
+    getSecurityConfiguration,
+    getPolicyConflicts,
+    getPolicyDefinitions,
+    diffPolicyDefinitions,
+    setTenantConfiguration,
+    findUserRoleNames,
+    findUsersByRole,
+    findDescendantRoleNames,
+    invalidateUserPolicy,
+    invalidateAllUserPolicies,
+    getUserPolicyCacheStats,
 
     formatUserSecurityData
 };
@@ -26,32 +57,104 @@ const logger = zlog.getLogger('zerv/security');
  * Collect the information security based and validate that everything works together.
  *
  * @param <object> : This object contains the following
- * - findRole: a function(roleName) that loads the role object and returns a promise
+ * - findRole: a function(roleName, tenantId) that loads the role object of the tenant and returns a promise. A role might extend another role (extends: 'roleName')
+ * - findRoleByUser: a function(user) that returns a promise with the role or the array of roles of the user
  * - defaultRole : The role name by default.
- * - dictionary: an array of protected resource objects
+ * - findUsersByRole: (optional) a function(tenantId, roleCode) that returns a promise with the users holding the role, all users of the tenant when roleCode is not provided.
+ *   It is necessary to notify the users of a role or a tenant when their policy changes.
+ * - findRolesExtending: (optional) a function(tenantId, roleName) that returns a promise with the roles directly extending the role.
+ *   When roles extend other roles, it is necessary to notify the users of the extending roles when a role changes.
+ * - dictionary: an array of protected resource objects. An entry might list the contextParams passed when it is applied.
  * - policies: an array of policy objects
  * - resourceSettings: an array of resource type objects
- * - conditionFactories: an array of services containing the condition methods.
+ * - conditionFactories: an array of services containing the condition methods. A condition method might list the contextParams it needs in its requiredContextParams property.
+ * - strictMode: (optional) true or an object with the following, security is then enforced for all users
+ *      - usersWithoutRole: 'defaultRole' (default) evaluates the users without role with the default role, 'deny' denies them all server resources
+ *      - adminBypass: true to let tenant admins bypass security (audited), false by default
+ *      - unknown locators are denied instead of failing
+ * - tenants: (optional) a map of tenant configuration overrides by tenant id (see setTenantConfiguration)
+ * - userPolicyCache: (optional) {ttl, maxSize} options of the compiled user policy cache, false to disable caching
  *
  *
  */
 function load(securityConfiguration) {
+    activate(prepare(securityConfiguration, securityConfiguration.tenants));
+}
+
+/**
+ * Replace the loaded configuration with a new one.
+ *
+ * The new configuration is fully validated before being swapped in, the current configuration remains in use if the validation fails.
+ * The tenant configurations set with setTenantConfiguration are kept unless the new configuration overrides them.
+ *
+ * @param <object> securityConfiguration, same as load
+ * @returns <object> the validation result
+ * - valid: true if the configuration was swapped in
+ * - errors: the validation errors
+ */
+function reload(securityConfiguration) {
+    let state;
+    try {
+        state = prepare(securityConfiguration, _.assign({}, tenantOverrides, securityConfiguration.tenants));
+    } catch (err) {
+        logger.error('Security configuration reload rejected. Current configuration remains in use.');
+        return {
+            valid: false,
+            errors: err.errors || [err.message]
+        };
+    }
+    activate(state);
+    logger.info('Security configuration reloaded.');
+    return {
+        valid: true,
+        errors: []
+    };
+}
+
+/**
+ * validate the configuration and build all what is necessary to run it without modifying the current configuration.
+ */
+function prepare(securityConfiguration, tenants) {
     if (!securityConfiguration.defaultRole) {
         throw new Error('No default role provided to initialize system security');
     }
+    return {
+        securityConfiguration,
+        securityData: initSecurityData(securityConfiguration),
+        tenantOverrides: _.assign({}, tenants),
+        tenantSecurityData: _.mapValues(tenants, (overrides, tenantId) => initTenantSecurity(securityConfiguration, tenantId, overrides))
+    };
+}
+
+function activate(state) {
+    const securityConfiguration = state.securityConfiguration;
+    findRoleByName = securityConfiguration.findRole;
+    findDefaultRole = function(user) {
+        logger.info(user.display + ': No defined role. Using configured default role:' + securityConfiguration.defaultRole);
+        return Promise.resolve(securityConfiguration.findRole(securityConfiguration.defaultRole, user.tenantId)).then((role) => _.compact(_.castArray(role)));
+    };
+    // a user might hold multiple roles, findRoleByUser can return a role or an array of roles.
     findRole = function(user) {
-        return securityConfiguration.findRoleByUser(user).then((policyRole) => {
-            if (!policyRole) {
-                logger.info(user.display + ': No defined role. Using configured default role:' + securityConfiguration.defaultRole);
-                return securityConfiguration.findRole(securityConfiguration.defaultRole);
+        return securityConfiguration.findRoleByUser(user).then((policyRoles) => {
+            policyRoles = _.compact(_.castArray(policyRoles));
+            if (!policyRoles.length) {
+                return findDefaultRole(user);
             }
-            return policyRole;
+            return policyRoles;
         });
     };
 
     module.exports.findUserByTenantIdAndId = securityConfiguration.findUserByTenantIdAndId;
 
-    systemSecurityData = initSecurity(securityConfiguration);
+    systemConfiguration = securityConfiguration;
+    systemSecurityData = state.securityData;
+    tenantOverrides = state.tenantOverrides;
+    tenantSecurityData = state.tenantSecurityData;
+
+    // compiled policies depend on the configuration that was just loaded.
+    userPolicyCache = createUserPolicyCache(
+        securityConfiguration.userPolicyCache === false ? {maxSize: 0} : securityConfiguration.userPolicyCache
+    );
 }
 
 
@@ -62,6 +165,210 @@ function getSystemSecurityConfiguration() {
     return systemSecurityData;
 }
 
+/**
+ * @param <string> tenantId
+ * @returns the security configuration of the tenant, which is the system configuration unless the tenant has overrides
+ */
+function getSecurityConfiguration(tenantId) {
+    return tenantSecurityData[tenantId] || getSystemSecurityConfiguration();
+}
+
+/**
+ * @param <string> tenantId (optional)
+ * @returns <array> the protected resources that policies can set to different settings with the same priority in the tenant (or system) configuration
+ */
+function getPolicyConflicts(tenantId) {
+    return getSecurityConfiguration(tenantId).conflicts;
+}
+
+/**
+ * Format the policy definitions of the tenant (or system) configuration so that they can be synced.
+ *
+ * The id of a definition is derived from the policy name and its revision is the hash of its content.
+ * They only change when the policy changes, the clients can keep their cache.
+ *
+ * @param <string> tenantId (optional)
+ * @returns <array> the policy definitions {id, revision, name, description, settings} sorted by name
+ */
+function getPolicyDefinitions(tenantId) {
+    return _.sortBy(_.map(getSecurityConfiguration(tenantId).policies, formatPolicyDefinition), 'name');
+}
+
+/**
+ * @param <array> previousDefinitions
+ * @param <array> definitions
+ * @returns <object> the changes between the two lists of policy definitions
+ * - updated: the definitions added or modified
+ * - removed: the definitions that no longer exist
+ */
+function diffPolicyDefinitions(previousDefinitions, definitions) {
+    return {
+        updated: _.filter(definitions, (definition) => !_.find(previousDefinitions, {id: definition.id, revision: definition.revision})),
+        removed: _.filter(previousDefinitions, (definition) => !_.find(definitions, {id: definition.id}))
+    };
+}
+
+function formatPolicyDefinition(policy) {
+    // the policy needs to be reformatted for now as params are tricky.
+    const content = {
+        name: policy.name,
+        description: policy.description,
+        settings: _.map(policy.settings, function(setting) {
+            return {
+                notes: setting.notes,
+                value: setting.setting,
+                params: setting.parameters, // should be params after code fix
+                paramsSchema: setting.paramsSchema
+            };
+        })
+    };
+    return _.assign({
+        id: hashContent('policy:' + policy.name),
+        revision: hashContent(content)
+    }, content);
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(_.isString(content) ? content : JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Layer tenant specific additions and overrides on top of the system configuration.
+ *
+ * The resulting configuration goes through the same integrity checks as the system configuration.
+ *
+ * @param <string> tenantId
+ * @param <object> overrides contains the following (all optional)
+ * - policies: an array of additional policy objects
+ * - policyDefaultSettings: a map of default settings by policy name (null removes the policy default setting)
+ * - dictionaryDefaultSettings: a map of default settings by protected resource name
+ * - strictMode: the strict mode of the tenant, same as the system strictMode (false turns it off for the tenant)
+ *
+ * pass null overrides to remove the tenant configuration.
+ */
+function setTenantConfiguration(tenantId, overrides) {
+    getSystemSecurityConfiguration();
+    if (overrides) {
+        tenantSecurityData[tenantId] = initTenantSecurity(systemConfiguration, tenantId, overrides);
+        tenantOverrides[tenantId] = overrides;
+    } else {
+        delete tenantSecurityData[tenantId];
+        delete tenantOverrides[tenantId];
+    }
+    // compiled user policies might rely on the previous tenant configuration
+    userPolicyCache.clear();
+}
+
+function initTenantSecurity(securityConfiguration, tenantId, overrides) {
+    try {
+        return initSecurityData(mergeTenantConfiguration(securityConfiguration, overrides));
+    } catch (err) {
+        logger.error('Invalid security configuration overrides for tenant %b', tenantId);
+        throw toInvalidPolicyError(err, 'tenants', tenantId, {tenantId});
+    }
+}
+
+function mergeTenantConfiguration(securityConfiguration, overrides) {
+    _.forEach(overrides.policyDefaultSettings, (setting, policyName) => {
+        assert(_.find(securityConfiguration.policies, {name: policyName}), 'Tenant default setting [' + setting + '] is set to an undefined policy [' + policyName + ']');
+    });
+    _.forEach(overrides.dictionaryDefaultSettings, (setting, resourceName) => {
+        assert(_.find(securityConfiguration.dictionary, {name: resourceName}), 'Tenant default setting [' + setting + '] is set to an undefined protected resource [' + resourceName + ']');
+    });
+    return _.assign({}, securityConfiguration, {
+        strictMode: _.has(overrides, 'strictMode') ? overrides.strictMode : securityConfiguration.strictMode,
+        dictionary: _.map(securityConfiguration.dictionary, (protectedResource) => {
+            if (_.has(overrides.dictionaryDefaultSettings, protectedResource.name)) {
+                return _.assign({}, protectedResource, {defaultSetting: overrides.dictionaryDefaultSettings[protectedResource.name]});
+            }
+            return protectedResource;
+        }),
+        policies: _.map(securityConfiguration.policies, (policy) => {
+            if (_.has(overrides.policyDefaultSettings, policy.name)) {
+                return _.assign({}, policy, {defaultSetting: overrides.policyDefaultSettings[policy.name]});
+            }
+            return policy;
+        }).concat(overrides.policies || [])
+    });
+}
+
+function initSecurityData(securityConfiguration) {
+    const securityData = initSecurity(securityConfiguration);
+    try {
+        securityData.strictMode = normalizeStrictMode(securityConfiguration.strictMode);
+    } catch (err) {
+        throw toInvalidPolicyError(err, 'strictMode');
+    }
+    return securityData;
+}
+
+/**
+ * configuration failures are reported as InvalidPolicyError, the integrity errors already are.
+ */
+function toInvalidPolicyError(err, section, name, fields) {
+    if (!(err instanceof SecurityErrors.InvalidPolicyError)) {
+        err = new SecurityErrors.InvalidPolicyError({
+            errors: [err.message],
+            details: [{message: err.message, section, name}]
+        });
+    }
+    return _.assign(err, fields);
+}
+
+/**
+ * @returns <object> the strict mode options, null if strict mode is off
+ */
+function normalizeStrictMode(strictMode) {
+    if (!strictMode) {
+        return null;
+    }
+    const options = _.assign({usersWithoutRole: 'defaultRole', adminBypass: false}, strictMode === true ? {} : strictMode);
+    assert(['defaultRole', 'deny'].indexOf(options.usersWithoutRole) !== -1, 'strictMode usersWithoutRole must be defaultRole or deny, not [' + options.usersWithoutRole + ']');
+    assert(_.isBoolean(options.adminBypass), 'strictMode adminBypass must be a boolean');
+    return options;
+}
+
+/**
+ * @param <object> user
+ * @returns <object> the strict mode options of the user tenant, null if strict mode is off
+ */
+function getStrictMode(user) {
+    return getSecurityConfiguration(user && user.tenantId).strictMode;
+}
+
+/**
+ * Find out if the access decision of the user is made without evaluating the user policy.
+ *
+ * @param <object> user
+ * @returns <object> null if the policy must be evaluated, otherwise the decision to audit
+ * - outcome: granted or denied
+ * - reason: NO_ROLE (the user has no role) or ADMIN_BYPASS (the tenant admin bypasses security in strict mode)
+ */
+function getPolicyBypass(user) {
+    const strictMode = getStrictMode(user);
+    if (!strictMode) {
+        return !user || !user.permissionRoleCode ? {outcome: 'granted', reason: 'NO_ROLE'} : null;
+    }
+    if (user && strictMode.adminBypass && user.isTenantAdmin()) {
+        return {outcome: 'granted', reason: 'ADMIN_BYPASS'};
+    }
+    if (!user || (!user.permissionRoleCode && strictMode.usersWithoutRole === 'deny')) {
+        return {outcome: 'denied', reason: 'NO_ROLE'};
+    }
+    return null;
+}
+
+/**
+ * @returns true if the policies of the user must be enforced
+ */
+function isSecurityEnforced(user) {
+    const strictMode = getStrictMode(user);
+    if (!strictMode) {
+        return !!user.permissionRoleCode && !user.isTenantAdmin();
+    }
+    return !(strictMode.adminBypass && user.isTenantAdmin());
+}
+
 
 /**
  *  Apply the user policy to a server resource.
@@ -86,13 +393,22 @@ function getSystemSecurityConfiguration() {
  *
  * @returns a promise with the value returned when applying the setting to the resource
  * - if true, the policy is ENABLED,
- * - if false, the promise is rejected
+ * - if false, the promise is rejected with a ResourceDeniedError
  * - if an object, the policy is enabled and data is returned.
  *
+ * The promise is rejected with an UnknownProtectedResourceError if the locator is not in the dictionary (strict mode off)
+ * or a ConditionEvaluationError if a policy condition fails.
+ *
  */
 async function applyResourcePolicy(user, protectedResourceLocator, contextParams) {
-    // Result will alway be true when there is no user role
-    if (!user || !user.permissionRoleCode) {
+    // Result will alway be true when there is no user role, unless in strict mode
+    const bypass = getPolicyBypass(user);
+    if (bypass) {
+        auditDecision(user, protectedResourceLocator, contextParams, bypass);
+        if (bypass.outcome === 'denied') {
+            logger.warn('%s: Server protected resource %b is denied to users without role in strict mode', user ? user.display : 'No user', protectedResourceLocator);
+            throw new SecurityErrors.ResourceDeniedError(_.assign(getErrorFields(user, protectedResourceLocator), {reason: bypass.reason}));
+        }
         return {
             result: true,
             isSetting: function() {
@@ -101,17 +417,19 @@ async function applyResourcePolicy(user, protectedResourceLocator, contextParams
             }
         };
     }
-    const userPolicy = await collectServerUserPolicy(user);
-    const protectedResource = await userPolicy.getProtectedResourceByLocator(protectedResourceLocator);
-    // return Promise.reject('PROTECTED_RESOURCE_UNDEFINED');
-
-    // let's calculate the setting to know how this resource should behave
-    const setting = protectedResource.calculateSetting(contextParams);
-
-    const valid = await protectedResource.apply(setting, contextParams);
+    const evaluation = await evaluateResourcePolicy(user, Promise.resolve().then(() => collectServerUserPolicy(user)), protectedResourceLocator, contextParams);
+    const protectedResource = evaluation.protectedResource;
+    const valid = evaluation.result;
     if (!valid) {
-        logger.warn(user.display + ': Server protected resource %b is denied', protectedResource.name);
-        throw new Error('RESOURCE_DENIED');
+        logger.warn(user.display + ': Server protected resource %b is denied', protectedResource ? protectedResource.resource.name : protectedResourceLocator);
+        const explanation = evaluation.explanation;
+        const winner = explanation && explanation.winner;
+        throw new SecurityErrors.ResourceDeniedError(_.assign(getErrorFields(user, protectedResourceLocator), {
+            resource: explanation ? explanation.resource : null,
+            setting: explanation ? explanation.setting.value : null,
+            policy: winner ? {name: winner.policy, setting: winner.policySetting} : null,
+            reason: evaluation.reason
+        }));
     }
     return Promise.resolve({
         result: valid,
@@ -126,36 +444,452 @@ async function applyResourcePolicy(user, protectedResourceLocator, contextParams
         }
         // check the setting does exist!!!
         // we don't want some code that handle a setting that does not exist
-        assert(systemSecurityData.resourceTypes.findSetting(protectedResource.type, settingName), 'Inexisting setting [' + settingName + '] was passed to isSetting function  to check protected resource [' + protectedResource.type + ']');
+        assert(getSecurityConfiguration(user.tenantId).resourceTypes.findSetting(protectedResource.type, settingName), 'Inexisting setting [' + settingName + '] was passed to isSetting function  to check protected resource [' + protectedResource.type + ']');
         return false;
     }
 }
 
 
+/**
+ *  Apply the user policy to multiple server resources at once.
+ *
+ *  The user policy is compiled once for all resources, which are then evaluated in parallel.
+ *  Contrary to applyResourcePolicy, a denied resource does not reject the promise.
+ *
+ *  example
+ *
+ *  applyResourcePolicies(user, [
+ *      {locator: 'report.account.balance', contextParams: {account}},
+ *      {locator: 'report.account.history', contextParams: {account}}
+ *  ]).then(function(results) {
+ *      if (!results['report.account.history'].denied) {...}
+ *  });
+ *
+ * @param <object> user, user object must have permissionRoleCode
+ * @param <array> entries, each entry has a locator and the contextParams necessary to calculate its setting.
+ *  A locator can only be listed once since the results are mapped by locator,
+ *  to check the same resource with different contextParams, call applyResourcePolicies once per contextParams.
+ *
+ * @returns a promise with the map of results by locator, rejected if a locator is listed more than once. Each result contains:
+ * - result: the value returned when applying the setting to the resource
+ * - setting: the calculated setting value
+ * - denied: true if the resource is denied
+ * - error: the error message if the resource could not be evaluated (ex: undefined locator), the resource is then denied.
+ */
+async function applyResourcePolicies(user, entries) {
+    const duplicateLocators = _.uniq(_.filter(_.map(entries, 'locator'), (locator, index, locators) => locators.indexOf(locator) !== index));
+    if (duplicateLocators.length) {
+        throw new Error('Protected resources [' + duplicateLocators.join(', ') + '] are listed more than once');
+    }
+    const results = {};
+    const bypass = getPolicyBypass(user);
+    const userPolicy = !bypass ? Promise.resolve().then(() => collectServerUserPolicy(user)) : null;
+    await Promise.all(_.map(entries, (entry) => {
+        let evaluation;
+        // Result will alway be true when there is no user role, unless in strict mode
+        if (bypass) {
+            auditDecision(user, entry.locator, entry.contextParams, bypass);
+            evaluation = Promise.resolve({result: bypass.outcome === 'granted'});
+        } else {
+            evaluation = evaluateResourcePolicy(user, userPolicy, entry.locator, entry.contextParams);
+        }
+        return evaluation.then(
+            (evaluation) => {
+                results[entry.locator] = {
+                    result: evaluation.result,
+                    setting: evaluation.explanation ? evaluation.explanation.setting.value : null,
+                    denied: !evaluation.result
+                };
+                if (evaluation.error) {
+                    results[entry.locator].error = evaluation.error;
+                }
+            },
+            (err) => {
+                results[entry.locator] = {
+                    result: false,
+                    setting: null,
+                    denied: true,
+                    error: err.message
+                };
+            });
+    }));
+    return results;
+}
+
+/**
+ * calculate the setting of the protected resource and apply it.
+ *
+ * the decision is audited.
+ *
+ * @param <object> user
+ * @param <promise> userPolicy, the promise of the compiled user policy
+ * @param <string> locator
+ * @param <object> contextParams
+ *
+ * @returns <promise> with the protected resource, the explanation of its setting and the result of applying the setting.
+ * In strict mode, an unknown locator is denied: there is no protected resource and the error explains why.
+ */
+async function evaluateResourcePolicy(user, userPolicy, locator, contextParams) {
+    let explanation;
+    try {
+        const protectedResource = findProtectedResource(user, await userPolicy, locator);
+        if (!protectedResource) {
+            auditDecision(user, locator, contextParams, {outcome: 'denied', reason: 'UNKNOWN_LOCATOR'});
+            return {
+                protectedResource: null,
+                explanation: null,
+                result: false,
+                reason: 'UNKNOWN_LOCATOR',
+                error: 'Unknown protected resource [' + locator + '] is denied in strict mode'
+            };
+        }
+        // let's calculate the setting to know how this resource should behave
+        explanation = await protectedResource.explainSetting(contextParams).catch((err) => {
+            throw toConditionEvaluationError(err, user, locator);
+        });
+        const result = await protectedResource.apply(explanation.setting, contextParams);
+        auditDecision(user, locator, contextParams, {outcome: result ? 'granted' : 'denied'}, explanation);
+        return {
+            protectedResource,
+            explanation,
+            result
+        };
+    } catch (err) {
+        auditDecision(user, locator, contextParams, {outcome: 'error', error: err.message}, explanation);
+        throw err;
+    }
+}
+
+/**
+ * @returns the protected resource of the locator, null if it is unknown in strict mode
+ * @throws an UnknownProtectedResourceError if the locator is unknown and strict mode is off
+ */
+function findProtectedResource(user, userPolicy, locator) {
+    try {
+        return userPolicy.getProtectedResourceByLocator(locator);
+    } catch (err) {
+        if (!getStrictMode(user)) {
+            throw new SecurityErrors.UnknownProtectedResourceError(getErrorFields(user, locator));
+        }
+        logger.warn('%s: Unknown protected resource %b is denied in strict mode', user.display, locator);
+        return null;
+    }
+}
+
+/**
+ * @returns <error> a ConditionEvaluationError if the error comes from a policy condition, otherwise the error itself
+ */
+function toConditionEvaluationError(err, user, locator) {
+    if (!err.failedCondition) {
+        return err;
+    }
+    return new SecurityErrors.ConditionEvaluationError(err, _.assign(getErrorFields(user, locator), err.failedCondition));
+}
+
+function getErrorFields(user, locator) {
+    return {
+        locator,
+        userId: user ? user.id : null,
+        tenantId: user ? user.tenantId : null
+    };
+}
+
+/**
+ * Emit the audit event of an access decision.
+ *
+ * @param <object> user
+ * @param <string> locator
+ * @param <object> contextParams, only the keys are recorded, values might be large or sensitive.
+ * @param <object> decision contains the outcome (granted, denied or error) and optionally a reason or an error
+ * @param <object> explanation of the setting calculation when available
+ */
+function auditDecision(user, locator, contextParams, decision, explanation) {
+    const winner = explanation && explanation.winner;
+    audit.emit(_.assign({
+        timestamp: new Date().toISOString(),
+        userId: user ? user.id : null,
+        tenantId: user ? user.tenantId : null,
+        locator,
+        resource: explanation ? explanation.resource : null,
+        setting: explanation ? explanation.setting.value : null,
+        policy: winner ? {name: winner.policy, setting: winner.policySetting} : null,
+        usedDefault: explanation ? explanation.usedDefault : false,
+        contextKeys: _.keys(contextParams)
+    }, decision));
+}
+
+/**
+ * Explain how the user policy is applied to a server resource.
+ *
+ * This runs the same calculation as applyResourcePolicy but does not throw when the resource is denied.
+ * It is meant to help understand why a user was granted or denied access.
+ *
+ *  example
+ *
+ *  explainResourcePolicy(user,'api.account.updateOne',{account:account}).then(function(explanation) {
+ *      explanation.winner -> {policy: 'Account Policy', policySetting: 'update', ...}
+ *  });
+ *
+ * @param <object> user, user object must have permissionRoleCode
+ * @param <string> locator, locator is defined in the dictionary.
+ * @param <object> context param contains key/map value that necessary to calculate the setting
+ *
+ * @returns a promise with the explanation
+ * - resource, locator, type: the protected resource
+ * - candidates: the settings provided by each policy covering the resource with their condition outcome (enabled) and priority
+ * - winner: the candidate that decided the setting, null when the default setting was used
+ * - usedDefault: true if no policy applied
+ * - setting: the resulting setting
+ * - result: the value returned when applying the setting to the resource
+ * - denied: true if the resource would be denied
+ * - reason: why the policy was not evaluated (NO_ROLE, ADMIN_BYPASS) or why the resource is denied without evaluation (UNKNOWN_LOCATOR in strict mode)
+ */
+async function explainResourcePolicy(user, protectedResourceLocator, contextParams) {
+    const bypass = getPolicyBypass(user);
+    if (bypass) {
+        return {
+            locator: protectedResourceLocator,
+            securityEnforced: bypass.outcome === 'denied',
+            candidates: [],
+            winner: null,
+            usedDefault: false,
+            setting: null,
+            result: bypass.outcome === 'granted',
+            denied: bypass.outcome === 'denied',
+            reason: bypass.reason
+        };
+    }
+    const userPolicy = await collectServerUserPolicy(user);
+    const protectedResource = findProtectedResource(user, userPolicy, protectedResourceLocator);
+    if (!protectedResource) {
+        return {
+            locator: protectedResourceLocator,
+            securityEnforced: true,
+            candidates: [],
+            winner: null,
+            usedDefault: false,
+            setting: null,
+            result: false,
+            denied: true,
+            reason: 'UNKNOWN_LOCATOR'
+        };
+    }
+    const explanation = await protectedResource.explainSetting(contextParams).catch((err) => {
+        throw toConditionEvaluationError(err, user, protectedResourceLocator);
+    });
+    const result = await protectedResource.apply(explanation.setting, contextParams);
+    return _.assign({securityEnforced: true}, explanation, {
+        result,
+        denied: !result
+    });
+}
+
+
+/**
+ * Simulate the settings a role would give to the protected resources, without assigning the role to a user.
+ *
+ * It is meant to review a role change before applying it.
+ *
+ *  example
+ *
+ *  simulate(updatedManagerRole, {compareWith: 'Manager'}).then(function(simulation) {
+ *      simulation.diff -> [{locator: 'api.account.updateOne', resource: 'Update Account Api', before: 'denied', after: 'allowed'}]
+ *  });
+ *
+ * @param <object|string> role definition (or role name). It might extend another role.
+ * @param <object> options (all optional)
+ * - env: server (default) or client
+ * - tenantId: the role is simulated with the configuration of this tenant
+ * - locators: the locators to calculate, by default all protected resources of the environment
+ * - contextParams: the context params passed to the policy conditions
+ * - conditionFactories: the condition factories to use instead of the configured ones (ex: to provide the client conditions)
+ * - ignoreConditions: true to consider all policy conditions false, each resource then lists the conditionalSettings that policy conditions could give it
+ * - compareWith: a role definition or role name to compare the settings with, ex: the name of the role to see the impact of its new definition
+ *
+ * @returns <promise> the simulation
+ * - role: the role name
+ * - env
+ * - resources: a map by locator of {resource, setting, policy: {name, setting}, usedDefault, conditionalSettings}, or {error} when the setting could not be calculated
+ * - diff: (only with compareWith) the resources whose setting differs, {locator, resource, before, after}
+ */
+async function simulate(role, options) {
+    options = _.assign({env: 'server'}, options);
+    const simulation = await simulateRole(role, options);
+    if (options.compareWith) {
+        const comparedSimulation = await simulateRole(options.compareWith, options);
+        simulation.diff = _.reduce(simulation.resources, (diff, result, locator) => {
+            const comparedResult = comparedSimulation.resources[locator];
+            if (result.setting !== comparedResult.setting || result.error !== comparedResult.error) {
+                diff.push({
+                    locator,
+                    resource: result.resource,
+                    before: comparedResult.error ? null : comparedResult.setting,
+                    after: result.error ? null : result.setting
+                });
+            }
+            return diff;
+        }, []);
+    }
+    return simulation;
+}
+
+async function simulateRole(role, options) {
+    const securityConfiguration = getSecurityConfiguration(options.tenantId);
+    const flattenedRole = await flattenRole(role, options.tenantId);
+    const securityData = filterSecurityDataByEnvironment(generateRolePolicies([flattenedRole], securityConfiguration), options.env, securityConfiguration);
+    // the provided condition factories take precedence over the configured ones
+    const findConditionFactory = (factoryName) => _.find(options.conditionFactories, {factory: factoryName}) || getPolicyConditionFactory(securityConfiguration.conditionFactories, factoryName);
+    const userPolicy = new UserPolicy(securityData, findConditionFactory, getResourceTypeFactory, {ignoreConditions: options.ignoreConditions});
+
+    const locators = options.locators || _.map(securityData.dictionary, 'locator');
+    const resources = {};
+    await Promise.all(_.map(locators, (locator) => {
+        return Promise.resolve()
+            .then(() => userPolicy.getProtectedResourceByLocator(locator).explainSetting(options.contextParams))
+            .then(
+                (explanation) => {
+                    resources[locator] = {
+                        resource: explanation.resource,
+                        setting: explanation.setting.value,
+                        policy: explanation.winner ? {name: explanation.winner.policy, setting: explanation.winner.policySetting} : null,
+                        usedDefault: explanation.usedDefault
+                    };
+                    if (options.ignoreConditions) {
+                        resources[locator].conditionalSettings = findConditionalSettings(explanation);
+                    }
+                },
+                (err) => {
+                    resources[locator] = {error: err.message};
+                });
+    }));
+    return {
+        role: flattenedRole.name,
+        env: options.env,
+        resources
+    };
+}
+
+/**
+ * @returns <array> the settings that the candidates with a condition could give instead of the calculated setting
+ */
+function findConditionalSettings(explanation) {
+    return _.uniq(_.map(findConditionalCandidates(explanation), 'setting.value'));
+}
+
+/**
+ * @returns <array> the candidates with a condition that could give another setting than the calculated setting
+ */
+function findConditionalCandidates(explanation) {
+    return _.filter(explanation.candidates, (candidate) =>
+        candidate.condition &&
+        candidate.setting.value !== explanation.setting.value &&
+        (explanation.usedDefault || candidate.priority <= explanation.winner.priority)
+    );
+}
+
 /**
  * the security data contains all active policies.
  *
  * If a protected resource is not listed in a policy, the default value (as defined in dictionary) will be applied by the client.
+ *
+ * The revision of the payload is the hash of its content, it only changes when the user policy changes.
+ *
+ * @param <object> user
+ * @param <object> options (optional)
+ * - format: 'full' (default) provides the policies with the dictionary and the resource types of the client,
+ *           'compact' only provides the setting calculated for each protected resource (see compactUserSecurityData)
+ * @returns <promise> the payload to sync
  */
-function collectClientUserPolicy(user) {
+function collectClientUserPolicy(user, options) {
+    const format = _.get(options, 'format') || 'full';
+    assert(CLIENT_PAYLOAD_FORMATS.indexOf(format) !== -1, 'Unsupported client security payload format [' + format + ']');
     return findUserPolicyData(user)
         .then((userPolicies) => {
-            return formatUserSecurityData(generateUserSecurityDataByEnvironment(user, userPolicies, 'client'));
+            const securityData = generateUserSecurityDataByEnvironment(user, userPolicies, 'client');
+            return format === 'compact' ? compactUserSecurityData(securityData) : formatUserSecurityData(securityData);
         });
 }
 
+/**
+ * Reduce a compact payload to the protected resources whose setting changed since the payload the client last received.
+ *
+ * @param <object> previousPayload, the compact payload last sent
+ * @param <object> payload, the new compact payload
+ * @returns <object> the diff payload, null if the payload has not changed
+ * - format: 'diff'
+ * - baseRevision: the revision of the previous payload the diff applies to
+ * - resources: the protected resources added or modified, by locator
+ * - removedResources: the locators of the protected resources that no longer exist (or no longer enforced when resources is null)
+ */
+function diffClientUserPolicy(previousPayload, payload) {
+    if (previousPayload.revision === payload.revision) {
+        return null;
+    }
+    const previousResources = previousPayload.resources || {};
+    const resources = payload.resources || {};
+    return _.assign(_.omit(payload, ['resources']), {
+        format: 'diff',
+        baseRevision: previousPayload.revision,
+        resources: _.omitBy(payload.resources, (resource, locator) => _.isEqual(resource, previousResources[locator])),
+        removedResources: _.filter(_.keys(previousResources), (locator) => !_.has(resources, locator))
+    });
+}
+
 /**
  * collect server policy for this specifig user.
  *
+ * The compiled policy is cached until it expires or is invalidated (role update or configuration reload).
+ *
  * @param <object> User object musht have the role, id, revision within
  * @returns security configuration
  */
 function collectServerUserPolicy(user) {
-    return findUserPolicyData(user)
-        .then((userPolicies) => {
-            const securityData = formatUserSecurityData(generateUserSecurityDataByEnvironment(user, userPolicies, 'server'));
-            return new UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFactory);
-        });
+    const cacheKey = getUserPolicyCacheKey(user);
+    // a user without role must not use the policy compiled for the role the user held, the stamp must always be defined.
+    const stamp = user.permissionRoleCode || null;
+    let userPolicy = userPolicyCache.get(cacheKey, stamp);
+    if (!userPolicy) {
+        userPolicy = findUserPolicyData(user)
+            .then((userPolicies) => {
+                const securityData = formatUserSecurityData(generateUserSecurityDataByEnvironment(user, userPolicies, 'server'));
+                const conditionFactories = getSecurityConfiguration(user.tenantId).conditionFactories;
+                return new UserPolicy(securityData, (factoryName) => getPolicyConditionFactory(conditionFactories, factoryName), getResourceTypeFactory);
+            });
+        // the promise is cached so that concurrent requests of the same user compile the policy only once.
+        userPolicyCache.set(cacheKey, userPolicy, stamp);
+        // a newer compile might have been cached meanwhile, it must not be dropped.
+        userPolicy.catch(() => userPolicyCache.invalidate(cacheKey, userPolicy));
+    }
+    return userPolicy;
+}
+
+/**
+ * remove the compiled policy of the user from the cache.
+ *
+ * It must be called when the user role or the role definition is modified.
+ *
+ * @param <object> user
+ */
+function invalidateUserPolicy(user) {
+    userPolicyCache.invalidate(getUserPolicyCacheKey(user));
+}
+
+/**
+ * remove all compiled policies from the cache, ex: when a role definition is modified.
+ */
+function invalidateAllUserPolicies() {
+    userPolicyCache.clear();
+}
+
+/**
+ * @returns <object> the hits, misses, evictions, invalidations and size of the user policy cache
+ */
+function getUserPolicyCacheStats() {
+    return userPolicyCache.getStats();
+}
+
+function getUserPolicyCacheKey(user) {
+    return user.tenantId + ':' + user.id;
 }
 
 
@@ -165,9 +899,9 @@ function collectServerUserPolicy(user) {
  * @returns an object containing all condition functions
  *
  */
-function getPolicyConditionFactory(factoryName) {
+function getPolicyConditionFactory(conditionFactories, factoryName) {
     // factory returns all function
-    return systemSecurityData.conditionFactories.find(factoryName);
+    return conditionFactories.find(factoryName);
 };
 
 /**
@@ -192,25 +926,33 @@ function getResourceTypeFactory(resourceType) {
  *  That information should already be in the environment code.
  */
 function generateUserSecurityDataByEnvironment(user, userPolicies, env) {
-    if (!user.permissionRoleCode || user.isTenantAdmin()) {
+    if (!isSecurityEnforced(user)) {
         return {
             env: env,
             user: user
         };
     }
-    const filteredPolicies = filterPolicyContentByEnvironment(userPolicies, env);
-    const filteredDictionary = _.filter(systemSecurityData.dictionary, function(resource) {
-        return systemSecurityData.resourceTypes.find(resource.type).env.indexOf(env) !== -1;
+    return _.assign(filterSecurityDataByEnvironment(userPolicies, env, getSecurityConfiguration(user.tenantId)), {
+        env: env,
+        user: user
     });
-    const filteredResourceTypes = _.filter(systemSecurityData.resourceTypes, function(type) {
+}
+
+/**
+ * @returns <object> the policies, dictionary and resource types that belong to the environment (client/server)
+ */
+function filterSecurityDataByEnvironment(userPolicies, env, securityConfiguration) {
+    const filteredPolicies = filterPolicyContentByEnvironment(userPolicies, env, securityConfiguration);
+    const filteredDictionary = _.filter(securityConfiguration.dictionary, function(resource) {
+        return securityConfiguration.resourceTypes.find(resource.type).env.indexOf(env) !== -1;
+    });
+    const filteredResourceTypes = _.filter(securityConfiguration.resourceTypes, function(type) {
         return type.env.indexOf(env) !== -1;
     });
     return {
         policies: filteredPolicies,
         dictionary: filteredDictionary,
-        resourceTypes: filteredResourceTypes,
-        env: env,
-        user: user
+        resourceTypes: filteredResourceTypes
     };
 }
 /**
@@ -225,16 +967,11 @@ function generateUserSecurityDataByEnvironment(user, userPolicies, env) {
  *
  */
 function formatUserSecurityData(securityData) {
-    const formated = {
-        id: securityData.user.id, // a user can only have access to one record
-        revision: Date.now(),
-        timestamp: {},
-        userId: securityData.user.id,
-        display: securityData.user.display,
+    const formated = formatPayload(securityData.user, {
         policies: securityData.policies,
         dictionary: securityData.dictionary,
         resourceTypes: securityData.resourceTypes
-    };
+    });
     logger.debug('--------------------------------------------------');
     logger.info(securityData.user.display + ': ' + securityData.env.toUpperCase() + ' Server Security: ' + (securityData.user.permissionRoleCode || 'Role has not been defined'));
     // unfortunately zlod has no function such as isLevel('debug')
@@ -246,6 +983,65 @@ function formatUserSecurityData(securityData) {
     return formated;
 }
 
+/**
+ * Calculate the setting of each protected resource of the security data, so that the client does not need the policies, dictionary and resource types.
+ *
+ * The conditions are not evaluated on the server, the settings that the conditions could give instead are listed with their condition.
+ *
+ * @param <object> securityData
+ * @returns <promise> the compact payload
+ * - format: 'compact'
+ * - resources: a map by locator of {type, setting, conditions: [{condition, params, setting}]} or {error},
+ *   null if the security is not enforced for the user.
+ *   The client applies the setting of the enabled condition with the highest priority, otherwise the setting.
+ */
+async function compactUserSecurityData(securityData) {
+    let resources = null;
+    if (securityData.dictionary) {
+        resources = {};
+        const conditionFactories = getSecurityConfiguration(securityData.user.tenantId).conditionFactories;
+        const userPolicy = new UserPolicy(securityData, (factoryName) => getPolicyConditionFactory(conditionFactories, factoryName), getResourceTypeFactory, {ignoreConditions: true});
+        await Promise.all(_.map(securityData.dictionary, (resource) => Promise.resolve()
+            .then(() => userPolicy.getProtectedResourceByLocator(resource.locator).explainSetting({}))
+            .then(
+                (explanation) => {
+                    resources[resource.locator] = {
+                        type: resource.type,
+                        setting: explanation.setting,
+                        conditions: _.map(findConditionalCandidates(explanation), (candidate) => ({
+                            condition: candidate.condition,
+                            params: candidate.params,
+                            setting: candidate.setting
+                        }))
+                    };
+                },
+                (err) => {
+                    resources[resource.locator] = {error: err.message};
+                })
+        ));
+    }
+    logger.debug(securityData.user.display + ': compact client security calculated for ' + _.size(resources) + ' protected resources');
+    return formatPayload(securityData.user, {
+        format: 'compact',
+        resources
+    });
+}
+
+/**
+ * @returns <object> the payload of the user, its revision is the hash of its content.
+ */
+function formatPayload(user, content) {
+    const payload = _.assign({
+        id: user.id, // a user can only have access to one record
+        revision: null,
+        timestamp: {},
+        userId: user.id,
+        display: user.display
+    }, content);
+    payload.revision = hashContent(_.omit(payload, ['revision', 'timestamp']));
+    return payload;
+}
+
 /**
  *  Policies defines the resources for all protected resources
  *
@@ -253,10 +1049,11 @@ function formatUserSecurityData(securityData) {
  *
  *  @param <array> policies
  *  @param <string> env ('client'/'server')
+ *  @param <object> securityConfiguration of the user tenant
  *
  *  @returns <array> of filtered policies
  */
-function filterPolicyContentByEnvironment(userPolicies, environment) {
+function filterPolicyContentByEnvironment(userPolicies, environment, securityConfiguration) {
     const filteredPolicies = [];
     userPolicies.forEach((policy) => {
         // keep in the policy what belongs to the environment
@@ -264,8 +1061,8 @@ function filterPolicyContentByEnvironment(userPolicies, environment) {
         policy.settings.forEach((policySetting) => {
             const filteredProtectedResources = _.filter(policySetting.protectedResources,
                 function(protectedResource) {
-                    const resource = systemSecurityData.dictionary.findProtectedResourceByName(protectedResource.resource);
-                    return systemSecurityData.resourceTypes.find(resource.type).env.indexOf(environment) !== -1;
+                    const resource = securityConfiguration.dictionary.findProtectedResourceByName(protectedResource.resource);
+                    return securityConfiguration.resourceTypes.find(resource.type).env.indexOf(environment) !== -1;
                 });
             if (filteredProtectedResources.length > 0) {
                 const filteredPolicySetting = _.assign({}, policySetting);
@@ -288,14 +1085,15 @@ function filterPolicyContentByEnvironment(userPolicies, environment) {
  *  @returns <promise> that will return the protected resources for the user's security policy
  */
 function findUserPolicyData(user) {
-    if (!user.permissionRoleCode || user.isTenantAdmin()) {
+    if (!isSecurityEnforced(user)) {
         logger.warn('Security deactivated for %b', user.display);
         return Promise.resolve([]);
     }
 
     try {
-        return findRole(user)
-            .then(generateRolePolicies)
+        return findUserRoles(user)
+            .then((userRoles) => Promise.all(_.map(userRoles, (userRole) => flattenRole(userRole, user.tenantId))))
+            .then((userRoles) => generateRolePolicies(userRoles, getSecurityConfiguration(user.tenantId)))
             .catch((err) => {
                 logger.error(user.display + ': **** INVALID SECURITY POLICY ****');
                 err.message += '- Invalid security policy for user ' + user.display;
@@ -310,28 +1108,175 @@ function findUserPolicyData(user) {
 }
 
 
+/**
+ * In strict mode, the users without role get the default role or no policy at all (only the dictionary default settings apply).
+ *
+ * @returns <promise> the roles of the user
+ */
+function findUserRoles(user) {
+    if (user.permissionRoleCode) {
+        return findRole(user);
+    }
+    if (getStrictMode(user).usersWithoutRole === 'deny') {
+        return Promise.resolve([]);
+    }
+    return findDefaultRole(user);
+}
+
+/**
+ * @param <string> tenantId
+ * @param <string> roleCode (optional)
+ * @returns <promise> the users of the tenant holding the role (all users of the tenant without roleCode),
+ *  null if the security configuration does not provide findUsersByRole
+ */
+function findUsersByRole(tenantId, roleCode) {
+    if (!systemConfiguration || !systemConfiguration.findUsersByRole) {
+        return Promise.resolve(null);
+    }
+    return Promise.resolve(systemConfiguration.findUsersByRole(tenantId, roleCode)).then((users) => users || []);
+}
+
+/**
+ * @param <string> tenantId
+ * @param <string> roleName
+ * @returns <promise> the names of the roles extending the role, directly or through other roles,
+ *  empty if the security configuration does not provide findRolesExtending
+ */
+async function findDescendantRoleNames(tenantId, roleName) {
+    if (!systemConfiguration || !systemConfiguration.findRolesExtending) {
+        return [];
+    }
+    const names = [];
+    let parentNames = [roleName];
+    while (parentNames.length) {
+        const children = _.flatten(await Promise.all(_.map(parentNames, (parentName) => systemConfiguration.findRolesExtending(tenantId, parentName))));
+        // an inheritance cycle must not loop forever
+        parentNames = _.difference(_.uniq(_.map(_.compact(children), 'name')), names.concat(roleName));
+        names.push(...parentNames);
+    }
+    return names;
+}
+
+/**
+ * @param <object> user
+ * @returns <promise> the names of the roles the user policy is built from, including the roles they extend.
+ */
+function findUserRoleNames(user) {
+    return findUserRoles(user)
+        .then((roles) => Promise.all(_.map(roles, (role) => flattenRole(role, user.tenantId))))
+        .then((roles) => _.uniq(_.flatMap(roles, (role) => [role.name].concat(role.inheritance))));
+}
+
+/**
+ * Validate the policies selected in a role, ex: before saving a role.
+ *
+ * The same rules apply as when the role is loaded to compute a user policy:
+ * the policies and settings must exist and the params must match the params schema of the setting.
+ *
+ * @param <object> role
+ * @param <string> tenantId (optional), the role is validated against the configuration of this tenant
+ *
+ * @returns <array> the error messages, empty if the role is valid
+ */
+function validateRole(role, tenantId) {
+    const securityConfiguration = getSecurityConfiguration(tenantId);
+    const errors = [];
+    _.forEach(role.policies, (rolePolicy) => {
+        const policyDefinition = _.find(securityConfiguration.policies, {name: rolePolicy.name});
+        if (!policyDefinition) {
+            errors.push('Policy [' + rolePolicy.name + '] does NOT exist');
+            return;
+        }
+        if (!_.isArray(rolePolicy.settings)) {
+            errors.push('Settings of policy [' + rolePolicy.name + '] must be an array');
+            return;
+        }
+        _.forEach(rolePolicy.settings, (setting) => {
+            try {
+                collectRolePolicySettingDefinitions([setting], policyDefinition);
+            } catch (err) {
+                errors.push(err.message);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Resolve the inheritance of a role.
+ *
+ * A role might extend a parent role (extends: 'parentRoleName'), which might extend another role and so on.
+ * The role inherits all policy settings of its ancestors but can override them per policy.
+ *
+ * @param <object|string> role or role name
+ * @param <string> tenantId (optional) the tenant the roles are loaded from
+ * @returns <promise> the flattened role
+ * - policies: all policies of the role, those inherited have the inheritedFrom property set to the name of the role defining them.
+ * - inheritance: the names of the role ancestors from the closest to the furthest
+ */
+async function flattenRole(role, tenantId) {
+    if (_.isString(role)) {
+        const roleName = role;
+        role = await findRoleByName(roleName, tenantId);
+        if (!role) {
+            throw new Error('Role [' + roleName + '] does not exist');
+        }
+    }
+    const lineage = [role];
+    const names = [role.name];
+    let current = role;
+    while (current.extends) {
+        if (names.indexOf(current.extends) !== -1) {
+            throw new Error('Role inheritance cycle detected: ' + names.concat(current.extends).join(' -> '));
+        }
+        const parent = await findRoleByName(current.extends, tenantId);
+        if (!parent) {
+            throw new Error('Role [' + current.extends + '] extended by role [' + current.name + '] does not exist');
+        }
+        names.push(current.extends);
+        lineage.push(parent);
+        current = parent;
+    }
+
+    // start from the furthest ancestor so that each descendant overrides the policies it redefines
+    const policies = {};
+    _.forEachRight(lineage, (ancestor) => {
+        _.forEach(ancestor.policies, (policy) => {
+            policies[policy.name] = ancestor === role ? policy : _.assign({}, policy, {inheritedFrom: ancestor.name});
+        });
+    });
+    return _.assign({}, role, {
+        policies: _.values(policies),
+        inheritance: _.tail(names)
+    });
+}
+
 /**
  *  get the policies and their protected resource configuration s for the setting define in the role policy configuration.
  *
- *  @param <object> userRole is an object containing the policies and protected resource settings.
+ *  When the user holds multiple roles, the settings selected by each role for a policy are combined.
+ *  If the combined settings give different settings to the same protected resource, the resource type priority decides (as for any policy conflict).
+ *
+ *  @param <object|array> userRoles is an object (or an array of) containing the policies and protected resource settings.
+ *  @param <object> securityConfiguration of the user tenant
  *  @returns <promise> that will return the protected resources and their configuration for the user's security policy
  */
 
-function generateRolePolicies(userRole) {
+function generateRolePolicies(userRoles, securityConfiguration) {
+    userRoles = _.castArray(userRoles);
     const userPolicies = [];
-    systemSecurityData.policies.forEach((policyDefinition) => {
-        const rolePolicy = _.find(userRole.policies, {name: policyDefinition.name});
-        let settings;
-        if (rolePolicy && rolePolicy.settings.length) {
-            settings = collectRolePolicySettingDefinitions(rolePolicy.settings, policyDefinition);
-
-        // otherwise the default settings of that policy if any
-        } else if (policyDefinition.defaultSetting) {
+    securityConfiguration.policies.forEach((policyDefinition) => {
+        let settings = _.flatMap(userRoles, (userRole) => collectRolePolicySettings(userRole, policyDefinition));
+        // the default setting of the policy only applies when none of the roles selects the policy,
+        // otherwise it would compete with the settings selected by the other roles.
+        if (!settings.length && policyDefinition.defaultSetting) {
             settings = collectRolePolicySettingDefinitions([policyDefinition.defaultSetting], policyDefinition);
         }
+        // the same setting selected by multiple roles is only kept once
+        settings = _.uniqBy(settings, (setting) => setting.setting + JSON.stringify(setting.params));
 
         // add all policies selected for the role
-        if (settings && settings.length) {
+        if (settings.length) {
             userPolicies.push({
                 name: policyDefinition.name,
                 settings: settings
@@ -342,6 +1287,17 @@ function generateRolePolicies(userRole) {
     return userPolicies;
 }
 
+/**
+ * @returns <array> the settings of the policy selected in the role, empty if the role does not select the policy.
+ */
+function collectRolePolicySettings(userRole, policyDefinition) {
+    const rolePolicy = _.find(userRole.policies, {name: policyDefinition.name});
+    if (rolePolicy && rolePolicy.settings.length) {
+        return collectRolePolicySettingDefinitions(rolePolicy.settings, policyDefinition);
+    }
+    return [];
+}
+
 /**
  * a policy of a role might have multiple settings checked.
  *
@@ -361,6 +1317,7 @@ function collectRolePolicySettingDefinitions(rolePolicySettings, policyDefinitio
         if (!policySettingConfiguration) {
             throw new Error('Setting [' + JSON.stringify(setting) + '] does NOT exist for policy [' + policyDefinition.name + ']');
         }
+        checkRolePolicySettingParams(setting.params || policySettingConfiguration.params, policySettingConfiguration, policyDefinition);
         // use the params provided in the policy setting if any
         if (setting.params) {
             const c = _.assign({}, policySettingConfiguration);
@@ -371,4 +1328,17 @@ function collectRolePolicySettingDefinitions(rolePolicySettings, policyDefinitio
     });
 }
 
-
+/**
+ * Make sure the params of a role policy setting match the params schema of the policy setting if any.
+ */
+function checkRolePolicySettingParams(params, policySettingConfiguration, policyDefinition) {
+    const schema = policySettingConfiguration.paramsSchema;
+    if (!schema) {
+        return;
+    }
+    // missing params are validated as an empty object so that required fields are reported.
+    const errors = ParamsSchema.validate(schema, _.isUndefined(params) && schema.type === 'object' ? {} : params);
+    if (errors.length) {
+        throw new Error('Invalid params for policy [' + policyDefinition.name + '] setting [' + policySettingConfiguration.setting + ']: ' + errors.join(', '));
+    }
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+const _ = require('lodash');
+
+module.exports = createUserPolicyCache;
+
+const DEFAULT_TTL = 60000;
+const DEFAULT_MAX_SIZE = 1000;
+
+/**
+ * Create an in-memory cache of compiled user policies.
+ *
+ * Compiling a user policy requires to load the user role and rebuild all policies, which is expensive on busy servers.
+ * Entries expire after the ttl and the least recently used entries are dropped when the cache is full.
+ *
+ * @param <object> options
+ * - ttl: number of milliseconds an entry remains valid (default 60000)
+ * - maxSize: maximum number of entries kept in the cache (default 1000)
+ *
+ * @returns <object> the cache api
+ */
+function createUserPolicyCache(options) {
+    options = options || {};
+    const ttl = _.isFinite(options.ttl) ? options.ttl : DEFAULT_TTL;
+    const maxSize = _.isFinite(options.maxSize) ? options.maxSize : DEFAULT_MAX_SIZE;
+
+    // Map keeps insertion order, the first key is always the least recently used.
+    const entries = new Map();
+    const stats = {
+        hits: 0,
+        misses: 0,
+        evictions: 0,
+        invalidations: 0
+    };
+
+    return {
+        get,
+        set,
+        invalidate,
+        clear,
+        getStats
+    };
+
+    /**
+     * get the value stored for the key
+     *
+     * @param <string> key
+     * @param <any> stamp, if provided, the entry is only valid if it was stored with the same stamp
+     * @returns the value or undefined if there is no valid entry
+     */
+    function get(key, stamp) {
+        const entry = entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now() || (!_.isUndefined(stamp) && entry.stamp !== stamp)) {
+            if (entry) {
+                entries.delete(key);
+            }
+            stats.misses++;
+            return undefined;
+        }
+        // move the entry to the end, it is now the most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        stats.hits++;
+        return entry.value;
+    }
+
+    function set(key, value, stamp) {
+        if (maxSize <= 0 || ttl <= 0) {
+            return;
+        }
+        entries.delete(key);
+        while (entries.size >= maxSize) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+        entries.set(key, {
+            value,
+            stamp,
+            expiresAt: Date.now() + ttl
+        });
+    }
+
+    /**
+     * remove the entry of the key
+     *
+     * @param <string> key
+     * @param <any> value, if provided, the entry is only removed if it still holds this value
+     */
+    function invalidate(key, value) {
+        const entry = entries.get(key);
+        if (!entry || (!_.isUndefined(value) && entry.value !== value)) {
+            return;
+        }
+        if (entries.delete(key)) {
+            stats.invalidations++;
+        }
+    }
+
+    function clear() {
+        stats.invalidations += entries.size;
+        entries.clear();
+    }
+
+    function getStats() {
+        return {
+            hits: stats.hits,
+            misses: stats.misses,
+            evictions: stats.evictions,
+            invalidations: stats.invalidations,
+            size: entries.size,
+            maxSize,
+            ttl
+        };
+    }
+}
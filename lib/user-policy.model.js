@@ -1,6 +1,8 @@
 // backend
 if (typeof require !== 'undefined') {
     _ = require('lodash');
+    LocatorPattern = require('./locator-pattern');
+    ConditionExpression = require('./condition-expression');
     module.exports = UserPolicy;
 } else {
     window.UserPolicy = UserPolicy;
@@ -12,28 +14,41 @@ if (typeof require !== 'undefined') {
  *
  *  It gives access to all protected resources. All protected resources are mapped to their implementation.
  *
- *  Protected resource object provide 2 methods:
+ *  Protected resource object provide 3 methods:
  *
- *  - calculateSetting: calculates and returns what would be setting value for the resource based on the policies configuration. calculation might depends on condition specific to a policy.
+ *  - calculateSetting: calculates and returns (in a promise) what would be setting value for the resource based on the policies configuration. calculation might depends on condition specific to a policy.
+ *    A condition might be asynchronous (returns a promise), all conditions are evaluated in parallel.
+ *
+ *  - explainSetting: same as calculateSetting but returns the decision trace (candidate settings, condition outcomes, winner).
+ *
+ *  When enabled policies give a resource different settings with the same priority, the conflict strategy of the resource type decides:
+ *  - first (default): the setting of the first policy listed wins
+ *  - most-restrictive/most-permissive: the setting ranked first/last in the type restrictionOrder (settings from the most restrictive to the most permissive)
+ *  - order: the setting ranked first in the type tieBreakOrder
+ *  - error: the setting cannot be determined, the calculation fails
  *
  *  - Apply: Run the implementation as defined in the resource type.
  *
  *  @param <object>: Security data contains the definition of the policy
  *  @param <fun> getPolicyConditionFactory is a function returning the condition function to execute
  *  @param <func> getPolicyImplementationFactory is a function returning the implementation of the resouce type
+ *  @param <object> options (optional)
+ *  - ignoreConditions: true to disable all policy settings with a condition, whatever the condition expression (ex: !calendar.isWeekend)
  *
  */
-function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFactory) {
+function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFactory, options) {
+    options = options || {};
     const protectedResourceList = compileSecurityData(securityData);
 
     this.getProtectedResourcesByTarget = function(groupName) {
         return _.filter(protectedResourceList, {target: groupName});
     };
 
+    // the dictionary locator might be a pattern (ex: api.account.*), the most specific one matching the locator is used.
     this.getProtectedResourceByLocator = function(locator) {
         // console.log(protectedResourceList);
-        const protectedResource = _.find(protectedResourceList, function(r) {
-            return r.resource.locator === locator;
+        const protectedResource = LocatorPattern.findBestMatch(protectedResourceList, locator, function(r) {
+            return r.resource.locator;
         });
         if (!protectedResource) {
             throw new Error('Protected resource [' + locator + '] undefined');
@@ -126,43 +141,119 @@ function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFact
     *
     * Manage when multiple policy resource setting might conflict using the resource type priority parameter.
     *
-    * @return the resource setting otherwise null if there is no policy valid for this resource.
+    * @return a promise with the resource setting
     *
     */
     function computeResourceSetting(protectedResource, contextParams) {
-        let finalSetting;
-        const logs = [];
-        logs.push('------ Determining Setting for Resource [' + protectedResource.resource.name + '] ------');
-        // find out which setting applies for this protectedResource.
-        if (!protectedResource.settings) {
-            logs.push('No policy covered this resource. Using default resource setting: ' + JSON.stringify(protectedResource.resource.defaultSetting));
-        } else {
+        // we should always get a setting...    at least the default one.
+        return explainResourceSetting(protectedResource, contextParams).then(function(explanation) {
+            return explanation.setting;
+        });
+    }
+
+    /**
+    * Trace how the setting of the protected resource is determined.
+    *
+    * @return <promise> with the explanation
+    * - resource, locator and type of the protected resource
+    * - candidates: the settings provided by the policies covering the resource, with their condition outcome (enabled) and priority
+    * - winner: the enabled candidate with the highest priority, null if no policy applied
+    * - conflict: the candidates with different settings that tied for the highest priority and the strategy that resolved it, null if there was no conflict
+    * - usedDefault: true if the dictionary default setting is used
+    * - setting: the resulting resource setting
+    *
+    */
+    function explainResourceSetting(protectedResource, contextParams) {
+        const explanation = {
+            resource: protectedResource.resource.name,
+            locator: protectedResource.resource.locator,
+            type: protectedResource.resource.type && protectedResource.resource.type.name,
+            candidates: [],
+            winner: null,
+            conflict: null,
+            usedDefault: false,
+            setting: null
+        };
+        // conditions might be asynchronous (ex: database lookup), they are all evaluated in parallel.
+        return Promise.all(protectedResource.settings.map(function(resourceConfig) {
+            const policySetting = resourceConfig.policySetting;
+            return Promise.resolve().then(function() {
+                return policySetting.checkIfEnabled(contextParams);
+            }).catch(function(err) {
+                // let the caller know which condition failed
+                err.failedCondition = {
+                    policy: {name: policySetting.policy.name, setting: policySetting.setting},
+                    condition: policySetting.condition
+                };
+                throw err;
+            });
+        })).then(function(conditionOutcomes) {
+            // find out which setting applies for this protectedResource.
             protectedResource.settings.forEach(
-                function(resourceConfig) {
-                    let setting;
-                    if (resourceConfig.policySetting.checkIfEnabled(contextParams)) {
-                        setting = resourceConfig.setting;
-                        logs.push('Policy [' + resourceConfig.policySetting.policy.name + '] ENABLED for setting [' + resourceConfig.policySetting.setting + ']' + JSON.stringify(resourceConfig.policySetting.params) + ': ' + JSON.stringify(setting));
-                    } else {
-                        logs.push('Policy [' + resourceConfig.policySetting.policy.name + '] DISABLED for setting [' + resourceConfig.policySetting.setting + ']' + JSON.stringify(resourceConfig.policySetting.params) + ': Resource not impacted.');
-                    }
-                    // if the policy condition is valid, we get setting for this protected element
-                    if (setting && (!finalSetting || finalSetting.priority > setting.priority)) {
-                        finalSetting = setting;
-                    }
+                function(resourceConfig, index) {
+                    const policySetting = resourceConfig.policySetting;
+                    const candidate = {
+                        policy: policySetting.policy.name,
+                        policySetting: policySetting.setting,
+                        condition: policySetting.condition || null,
+                        params: policySetting.params,
+                        enabled: !!conditionOutcomes[index],
+                        setting: resourceConfig.setting,
+                        priority: resourceConfig.setting.priority
+                    };
+                    explanation.candidates.push(candidate);
                 });
+            // if the policy condition is valid, we get setting for this protected element
+            selectWinner(protectedResource.resource, explanation);
+            // if there is no setting set by any policy, the default setting is the one in the dictionary.
+            if (explanation.winner) {
+                explanation.setting = explanation.winner.setting;
+            } else {
+                explanation.setting = protectedResource.resource.defaultSetting;
+                explanation.usedDefault = true;
+            }
+            return explanation;
+        });
+    }
+
+    /**
+    * Find the enabled candidate with the highest priority (lowest value).
+    *
+    * Candidates with different settings might tie, the conflict strategy of the resource type picks the winner.
+    *
+    */
+    function selectWinner(resource, explanation) {
+        const enabledCandidates = _.filter(explanation.candidates, 'enabled');
+        if (!enabledCandidates.length) {
+            return;
         }
-        // if there is no setting set by any policy, the default setting is the one in the dictionary.
-        if (!finalSetting) {
-            finalSetting = protectedResource.resource.defaultSetting;
-            logs.push('Using default Resource Setting: ' + JSON.stringify(finalSetting));
-        } else {
-            logs.push('Resource Setting Result: ' + JSON.stringify(finalSetting));
+        const priority = _.minBy(enabledCandidates, 'priority').priority;
+        const tiedCandidates = _.filter(enabledCandidates, {priority: priority});
+        explanation.winner = tiedCandidates[0];
+        if (_.uniqBy(tiedCandidates, 'setting.value').length === 1) {
+            return;
+        }
+        const type = resource.type || {};
+        const strategy = type.conflictStrategy || 'first';
+        explanation.conflict = {
+            strategy: strategy,
+            priority: priority,
+            candidates: tiedCandidates
+        };
+        switch (strategy) {
+        case 'most-restrictive':
+            explanation.winner = _.minBy(tiedCandidates, (candidate) => type.restrictionOrder.indexOf(candidate.setting.value));
+            break;
+        case 'most-permissive':
+            explanation.winner = _.maxBy(tiedCandidates, (candidate) => type.restrictionOrder.indexOf(candidate.setting.value));
+            break;
+        case 'order':
+            explanation.winner = _.minBy(tiedCandidates, (candidate) => type.tieBreakOrder.indexOf(candidate.setting.value));
+            break;
+        case 'error':
+            throw new Error('Conflicting settings [' + _.uniq(_.map(tiedCandidates, 'setting.value')) + '] with priority ' + priority + ' for protected resource [' + resource.name + '] from policies [' +
+                _.map(tiedCandidates, (candidate) => candidate.policy + '/' + candidate.policySetting) + ']');
         }
-        // console.log(logs.join('\n'));
-
-        // we should always get a setting...    at least the default one.
-        return finalSetting;
     }
 
     /**
@@ -198,6 +289,10 @@ function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFact
             calculateSetting: function(contextParams) {
                 return computeResourceSetting(protectedResource, contextParams);
             },
+            // same calculation but returns how the setting was determined (policies considered, conditions, priorities)
+            explainSetting: function(contextParams) {
+                return explainResourceSetting(protectedResource, contextParams);
+            },
             // this is the function to apply to the resource. each resource type defines of different implementation. ex: htmlElement hide/show things, Input enable/disable....
             apply: implementation.apply,
             // this is to group the protected resources... some are related to the DOM, some to uiRouter, some to api, etc.
@@ -211,6 +306,8 @@ function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFact
       * Find the condition code in a factory if a condition is provided.
       * handle error message.
       *
+      * The condition might be an expression combining multiple conditions (ex: ownership.isOwner && !calendar.isWeekend)
+      *
       * @param <object> policySetting object might have a condition
       *
       * @returns the condition function
@@ -222,19 +319,24 @@ function UserPolicy(securityData, getPolicyConditionFactory, getResourceTypeFact
                 return true;
             };
         }
+        // the setting is disabled as a whole, evaluating the expression with false conditions would enable negated ones.
+        if (options.ignoreConditions) {
+            return function() {
+                return false;
+            };
+        }
 
         try {
-            const period = policySetting.condition.indexOf('.');
-            if (period === -1) {
-                throw new Error('No security name defined');
-            }
-            const factoryName = policySetting.condition.substring(0, period);
-            const conditionGroup = getPolicyConditionFactory(factoryName);
-            const conditionName = policySetting.condition.substring(period + 1);
-            const conditionFn = conditionGroup[conditionName];
-            if (!conditionFn) {
-                throw new Error('No condition implementation [' + conditionName + '] in [' + factoryName + ']');
-            }
+            const conditionFn = ConditionExpression.compile(
+                ConditionExpression.parse(policySetting.condition),
+                function(reference) {
+                    const conditionGroup = getPolicyConditionFactory(reference.factory);
+                    const conditionFn = conditionGroup[reference.name];
+                    if (!conditionFn) {
+                        throw new Error('No condition implementation [' + reference.name + '] in [' + reference.factory + ']');
+                    }
+                    return conditionFn;
+                });
             // contextParams will be passed when the protectedResource apply method is called.
             return function(contextParams) {
                 try {
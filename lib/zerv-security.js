@@ -5,9 +5,14 @@ const Promise = require('promise'),
     zlog = require('zimit-zlog'),
     _ = require('lodash');
 
-const UUID = require('uuid');
-
 const securityService = require('./security.service');
+const auditService = require('./audit.service');
+const securityMiddleware = require('./security-middleware');
+const SecurityErrors = require('./security-errors');
+const roleMatrix = require('./role-matrix');
+const roleService = require('./role.service');
+const batchNotifier = require('./batch-notifier');
+const configurationLoader = require('./security-configuration-loader');
 
 let zervCore;
 _.forIn(require.cache, function(required) {
@@ -44,15 +49,53 @@ _.forIn(require.cache, function(required) {
 if (zervSecurity) {
     module.exports = zervSecurity;
 } else {
-    UUID.generate = UUID.v4;
-
-
     const logger = zlog.getLogger('zerv/security');
 
+    // users who subscribed to their security data, by tenantId:userId
+    const connectedUsers = new Map();
+    // policy definitions last published to each tenant
+    const publishedPolicyDefinitions = new Map();
+
     const security = {
         notifyPolicyUpdate,
+        notifyRoleUpdate,
+        notifyTenantUpdate,
         applyResourcePolicy: securityService.applyResourcePolicy,
-        initializePolicies
+        applyResourcePolicies: securityService.applyResourcePolicies,
+        explainResourcePolicy: securityService.explainResourcePolicy,
+        simulate: securityService.simulate,
+        exportRoleMatrix: roleMatrix.exportRoleMatrix,
+        flattenRole: securityService.flattenRole,
+        validateRole: securityService.validateRole,
+        setTenantConfiguration,
+        setRoleStore: roleService.setStore,
+        createMemoryRoleStore: roleService.createMemoryRoleStore,
+        findRole: roleService.findRole,
+        findAllRoles: roleService.findAllRoles,
+        createRole,
+        updateRole,
+        deleteRole,
+        cloneRole,
+        protectRoute: securityMiddleware.protectRoute,
+        protectApi: securityMiddleware.protectApi,
+        reportUnboundProtectedResources: securityMiddleware.reportUnboundProtectedResources,
+        getUserPolicyCacheStats: securityService.getUserPolicyCacheStats,
+        getPolicyConflicts: securityService.getPolicyConflicts,
+        addAuditSink: auditService.addSink,
+        removeAuditSink: auditService.removeSink,
+        createMemoryAuditSink: auditService.createMemorySink,
+        createFileAuditSink: auditService.createFileSink,
+        initializePolicies,
+        reloadPolicies,
+        loadPolicyDirectory: configurationLoader.loadConfigurationDirectory,
+        watchPolicyDirectory,
+        SecurityError: SecurityErrors.SecurityError,
+        ResourceDeniedError: SecurityErrors.ResourceDeniedError,
+        UnknownProtectedResourceError: SecurityErrors.UnknownProtectedResourceError,
+        InvalidPolicyError: SecurityErrors.InvalidPolicyError,
+        ConditionEvaluationError: SecurityErrors.ConditionEvaluationError,
+        InvalidRoleError: SecurityErrors.InvalidRoleError,
+        RoleNotFoundError: SecurityErrors.RoleNotFoundError
     };
 
     zervCore.addModule('Security', security);
@@ -67,11 +110,15 @@ if (zervSecurity) {
  * load the security policy configuration to apply application wide
  * @param {Object} securityConfiguration:
  *
+ * Without findRole and findRoleByUser, the roles are loaded from the role store of the user tenant (see setRoleStore).
+ * Without findRolesExtending, the roles extending a modified role are looked up in the role store,
+ * so an application providing its own roles with extends must provide findRolesExtending to notify the users of the extending roles.
  */function initializePolicies(securityConfiguraton) {
         try {
-            securityService.load(securityConfiguraton);
+            securityService.load(withRoleStore(securityConfiguraton));
             zervSync
-            .publish('all.security-policies.sync', fetchAllPolicyDefinitions, 'NONE')
+            .publish('all.security-policies.sync', fetchAllPolicyDefinitions, 'SECURITY_POLICY_DEFINITION')
+            .publish('all.security-roles.sync', fetchAllRoles, 'SECURITY_ROLE')
             .publish('security.sync', securityConfig, 'SECURITY_CONFIG_DATA', getSecuritySyncOptions());
         } catch (e) {
             logger.fatal('Server shutdown.');
@@ -80,16 +127,123 @@ if (zervSecurity) {
     }
 
 
+/**
+ * replace the security policy configuration without restarting the server.
+ *
+ * The new configuration is validated before being swapped in. If it is invalid, the current configuration remains in use.
+ * Once swapped in, the connected users receive their new security data.
+ *
+ * @param {Object} securityConfiguration: same as initializePolicies
+ * @returns {Promise} resolved with the validation result
+ * - valid: true if the configuration was swapped in
+ * - errors: the validation errors
+ */
+    async function reloadPolicies(securityConfiguration) {
+        const validation = securityService.reload(withRoleStore(securityConfiguration));
+        if (validation.valid) {
+            notifyPolicyDefinitionUpdates();
+            await notifyConnectedUsers();
+        }
+        return validation;
+    }
+
+
+/**
+ * set the configuration overrides of a tenant (see securityService.setTenantConfiguration) and notify the tenant subscribers.
+ *
+ * The connected users of the tenant are notified in batches like in notifyTenantUpdate.
+ * @returns {Promise} resolved with the report {total, notified, failures}
+ */
+    function setTenantConfiguration(tenantId, overrides) {
+        securityService.setTenantConfiguration(tenantId, overrides);
+        notifyPolicyDefinitionUpdates();
+        return notifyConnectedUsers(tenantId);
+    }
+
+
+/**
+ * create, update, delete or clone a role of the role store (see role.service).
+ *
+ * The subscribers of the roles are notified and the connected users whose policy depends on the role receive their new security data.
+ */
+    async function createRole(tenantId, role) {
+        const savedRole = await roleService.createRole(tenantId, role);
+        zervSync.notifyCreation(tenantId, 'SECURITY_ROLE', savedRole);
+        await notifyRoleUsers(tenantId, savedRole.name);
+        return savedRole;
+    }
+
+    async function updateRole(tenantId, role) {
+        const savedRole = await roleService.updateRole(tenantId, role);
+        zervSync.notifyUpdate(tenantId, 'SECURITY_ROLE', savedRole);
+        await notifyRoleUsers(tenantId, savedRole.name);
+        return savedRole;
+    }
+
+    async function deleteRole(tenantId, name) {
+        // once deleted, the users holding the role can no longer be found
+        const users = await findRoleUsers(tenantId, name);
+        const deletedRole = await roleService.deleteRole(tenantId, name);
+        zervSync.notifyDelete(tenantId, 'SECURITY_ROLE', deletedRole);
+        securityService.invalidateAllUserPolicies();
+        await batchNotifier.notifyInBatches(users, notifyPolicyUpdate);
+        return deletedRole;
+    }
+
+    async function cloneRole(tenantId, name, changes) {
+        const savedRole = await roleService.cloneRole(tenantId, name, changes);
+        zervSync.notifyCreation(tenantId, 'SECURITY_ROLE', savedRole);
+        await notifyRoleUsers(tenantId, savedRole.name);
+        return savedRole;
+    }
+
+
+/**
+ * reload the policies each time the files of a configuration directory change, meant for development.
+ *
+ * @param {String} directory: the configuration directory (see loadPolicyDirectory)
+ * @param {Object} registry: the resource type and condition factory modules by name
+ * @param {Object} baseConfiguration: the rest of the security configuration (findRole, findRoleByUser, defaultRole...)
+ * @returns {Object} the watcher with a close() function
+ */
+    function watchPolicyDirectory(directory, registry, baseConfiguration) {
+        return configurationLoader.watchConfigurationDirectory(directory, registry, async (err, configuration) => {
+            if (err) {
+                return;
+            }
+            const validation = await reloadPolicies(_.assign({}, baseConfiguration, configuration));
+            if (!validation.valid) {
+                logger.error('Security configuration directory %b could not be reloaded: %s', directory, validation.errors.join('\n'));
+            }
+        });
+    }
+
+
 /**
  * when a user is modified (the user security role is modified), or when a security role config is modified, the front end must be notified to apply the new policy settings.
  *
+ * The payload is not sent if its revision is the one the user last received, the revision being the hash of the user policy.
+ * The payload format is the one requested by the user subscription (params.payload: full, compact or diff).
  */
     async function notifyPolicyUpdate(user) {
+        // the server must no longer use the policy compiled before the update.
+        securityService.invalidateUserPolicy(user);
+        const connectedUser = connectedUsers.get(user.tenantId + ':' + user.id) || {};
+        let payload = await securityService.collectClientUserPolicy(user, {format: getPayloadFormat(connectedUser)});
+        const lastPayload = connectedUser.lastPayload;
+        if (lastPayload && lastPayload.revision === payload.revision) {
+            logger.debug('SecurityPolicy of user %b is unchanged.', user.display || user.id);
+            return;
+        }
+        connectedUser.lastPayload = payload;
+        if (lastPayload && connectedUser.payload === 'diff') {
+            payload = securityService.diffClientUserPolicy(lastPayload, payload);
+        }
         logger.debug('Broadcast SecurityPolicy update for user %b.', user.display || user.id);
         zervSync.notifyUpdate(
             user.tenantId,
             'SECURITY_CONFIG_DATA',
-            await securityService.collectClientUserPolicy(user),
+            payload,
             // only this user will receive the notification -> this will accelerate the processing of the notification since no other users are involved.
             // if another user subscribed to a publication listening to SECURITY_CONFIG_DATA, the latter's subscription will not receive the data at all.
             {onlyUserId: user.id}
@@ -97,40 +251,153 @@ if (zervSecurity) {
     }
 
 
+/**
+ * when a role is modified, all users holding the role or a role extending it must receive their new security data.
+ *
+ * The users are found with the findUsersByRole function of the security configuration and notified in batches.
+ * The roles extending the role are found with the findRolesExtending function of the security configuration.
+ *
+ * @param {String} tenantId
+ * @param {String} roleCode
+ * @param {Object} options: (optional) the batch options {batchSize, delay, onProgress} (see batch-notifier)
+ * @returns {Promise} resolved with the report {total, notified, failures}
+ */
+    async function notifyRoleUpdate(tenantId, roleCode, options) {
+        const users = await findUsersByRoles(tenantId, [roleCode].concat(await securityService.findDescendantRoleNames(tenantId, roleCode)));
+        if (!users) {
+            throw new Error('findUsersByRole must be provided in the security configuration to notify the users of role [' + roleCode + ']');
+        }
+        logger.info('Broadcast SecurityPolicy update to %b users of role %b in tenant %b.', users.length, roleCode, tenantId);
+        return batchNotifier.notifyInBatches(users, notifyPolicyUpdate, options);
+    }
+
+
+/**
+ * when the configuration of a tenant is modified, all its users must receive their new security data.
+ *
+ * @param {String} tenantId
+ * @param {Object} options: (optional) same as notifyRoleUpdate
+ * @returns {Promise} resolved with the report {total, notified, failures}
+ */
+    async function notifyTenantUpdate(tenantId, options) {
+        const users = await securityService.findUsersByRole(tenantId);
+        if (!users) {
+            throw new Error('findUsersByRole must be provided in the security configuration to notify the users of tenant [' + tenantId + ']');
+        }
+        logger.info('Broadcast SecurityPolicy update to %b users of tenant %b.', users.length, tenantId);
+        return batchNotifier.notifyInBatches(users, notifyPolicyUpdate, options);
+    }
+
+
 // ////////////////////////////
-    function fetchAllPolicyDefinitions(tenantId, user, params) {
-        return Promise.resolve(
-            _.sortBy(
-                _.map(securityService.getSystemSecurityConfiguration().policies, formatPolicyConfig),
-                'name')
+    function withRoleStore(securityConfiguration) {
+        return _.defaults({}, securityConfiguration, {
+            findRole: (roleName, tenantId) => roleService.findRole(tenantId, roleName),
+            findRoleByUser: (user) => user.permissionRoleCode ? roleService.findRole(user.tenantId, user.permissionRoleCode) : Promise.resolve(null),
+            findRolesExtending: (tenantId, roleName) => roleService.findAllRoles(tenantId).then((roles) => _.filter(roles, {extends: roleName}))
+        });
+    }
+
+
+    function notifyConnectedUsers(tenantId) {
+        const users = _.filter(Array.from(connectedUsers.values()), (connectedUser) => !tenantId || connectedUser.tenantId === tenantId);
+        logger.info('Broadcast SecurityPolicy update to %b connected users.', users.length);
+        // notified in batches as the users of a role or a tenant, not to overload the server
+        return batchNotifier.notifyInBatches(users, (connectedUser) =>
+            securityService.findUserByTenantIdAndId(connectedUser.tenantId, connectedUser.id)
+                .then((user) => {
+                    if (user) {
+                        return notifyPolicyUpdate(user);
+                    }
+                    connectedUsers.delete(connectedUser.tenantId + ':' + connectedUser.id);
+                })
         );
     }
 
+
 /**
- * policies are hard coded config, this makes them syncable
+ * a role change impacts the users holding the role or a role extending it.
  */
-    function formatPolicyConfig(policy) {
-    // the policy needs to be reformatted for now as params are tricky.
-        return _.assign(
-            {id: UUID.generate(), revision: 0},
-            {
-                name: policy.name,
-                description: policy.description
-            },
-            {
-                settings: _.map(policy.settings, function(setting) {
-                    return {
-                        notes: setting.notes,
-                        value: setting.setting,
-                        params: setting.parameters // should be params after code fix
-                    };
-                })
-            });
+    async function notifyRoleUsers(tenantId, roleName) {
+        // users not connected might also have a compiled policy relying on the role
+        securityService.invalidateAllUserPolicies();
+        const users = await findRoleUsers(tenantId, roleName);
+        return batchNotifier.notifyInBatches(users, notifyPolicyUpdate);
+    }
+
+    async function findRoleUsers(tenantId, roleName) {
+        const roleNames = [roleName].concat(await securityService.findDescendantRoleNames(tenantId, roleName));
+        // without findUsersByRole, only the connected users can be checked
+        return await findUsersByRoles(tenantId, roleNames) || findConnectedRoleUsers(tenantId, roleName);
+    }
+
+    async function findUsersByRoles(tenantId, roleCodes) {
+        const users = await Promise.all(_.map(roleCodes, (roleCode) => securityService.findUsersByRole(tenantId, roleCode)));
+        if (!users[0]) {
+            return null;
+        }
+        return _.uniqBy(_.flatten(users), 'id');
+    }
+
+    async function findConnectedRoleUsers(tenantId, roleName) {
+        const tenantUsers = _.filter(Array.from(connectedUsers.values()), {tenantId});
+        const users = await Promise.all(_.map(tenantUsers, (connectedUser) =>
+            securityService.findUserByTenantIdAndId(connectedUser.tenantId, connectedUser.id)
+                .then((user) => user && securityService.findUserRoleNames(user)
+                    .then((roleNames) => roleNames.indexOf(roleName) !== -1 ? user : null)
+                )
+                .catch((err) => logger.error('Failed to find the roles of user %b: %s', connectedUser.id, err.message))
+        ));
+        return _.compact(users);
+    }
+
+
+    function fetchAllRoles(tenantId, user, params) {
+        return roleService.findAllRoles(tenantId);
+    }
+
+
+/**
+ * policies are hard coded config, their definitions have stable ids and revisions to make them syncable
+ */
+    function fetchAllPolicyDefinitions(tenantId, user, params) {
+        const definitions = securityService.getPolicyDefinitions(tenantId);
+        publishedPolicyDefinitions.set(tenantId, definitions);
+        return Promise.resolve(definitions);
+    }
+
+/**
+ * notify the subscribers of the policy definitions of the changes brought by a new configuration.
+ */
+    function notifyPolicyDefinitionUpdates() {
+        publishedPolicyDefinitions.forEach((previousDefinitions, tenantId) => {
+            const definitions = securityService.getPolicyDefinitions(tenantId);
+            const changes = securityService.diffPolicyDefinitions(previousDefinitions, definitions);
+            logger.info('Broadcast %b policy definition updates and %b removals to tenant %b.', changes.updated.length, changes.removed.length, tenantId);
+            changes.updated.forEach((definition) => zervSync.notifyUpdate(tenantId, 'SECURITY_POLICY_DEFINITION', definition));
+            changes.removed.forEach((definition) => zervSync.notifyDelete(tenantId, 'SECURITY_POLICY_DEFINITION', definition));
+            publishedPolicyDefinitions.set(tenantId, definitions);
+        });
     }
 
 
     function securityConfig(tenantId, user, params) {
-        return securityService.findUserByTenantIdAndId(user.tenantId, user.id).then(securityService.collectClientUserPolicy);
+        const connectedUser = connectedUsers.get(user.tenantId + ':' + user.id) || {};
+        return securityService.findUserByTenantIdAndId(user.tenantId, user.id)
+            .then((foundUser) => securityService.collectClientUserPolicy(foundUser, {format: getPayloadFormat(connectedUser)}))
+            .then((payload) => {
+                // the subscription always starts with the whole payload, the next notifications might be diffs of it.
+                connectedUser.lastPayload = payload;
+                return payload;
+            });
+    }
+
+
+/**
+ * the diff payloads are calculated from compact payloads
+ */
+    function getPayloadFormat(connectedUser) {
+        return connectedUser.payload === 'compact' || connectedUser.payload === 'diff' ? 'compact' : 'full';
     }
 
 
@@ -140,6 +407,21 @@ if (zervSecurity) {
             // the client does not pass the current userId. safer here.
             // this is necessary to make sure that data notified are relevant to the subscription.
                 params.userId = user.id;
+                const key = user.tenantId + ':' + user.id;
+                // a user might subscribe from multiple sessions, the user remains connected until the last one is released.
+                const connectedUser = connectedUsers.get(key) || {tenantId: user.tenantId, id: user.id, subscriptions: 0};
+                connectedUser.subscriptions++;
+                // the client might request a lighter payload: compact (settings only) or diff (compact, then only the changes)
+                connectedUser.payload = params.payload || 'full';
+                connectedUsers.set(key, connectedUser);
+            },
+            // the subscription ended (unsubscribed or disconnected), the user no longer needs to be notified.
+            release: function(tenantId, user, params) {
+                const key = user.tenantId + ':' + user.id;
+                const connectedUser = connectedUsers.get(key);
+                if (connectedUser && --connectedUser.subscriptions <= 0) {
+                    connectedUsers.delete(key);
+                }
             }
         };
     }
@@ -0,0 +1,85 @@
+'strict mode';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const audit = require('../lib/audit.service');
+
+describe('Audit service', () => {
+    afterEach(() => {
+        audit.removeAllSinks();
+    });
+
+    it('should send events to all sinks', () => {
+        const memorySink = audit.addSink(audit.createMemorySink());
+        const customSink = jasmine.createSpy('customSink');
+        audit.addSink(customSink);
+        audit.emit({userId: 'user1', outcome: 'granted'});
+        audit.emit({userId: 'user2', outcome: 'denied'});
+        expect(memorySink.getEvents().length).toEqual(2);
+        expect(memorySink.getEvents({outcome: 'denied'})).toEqual([{userId: 'user2', outcome: 'denied'}]);
+        expect(customSink).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not send events to a removed sink', () => {
+        const customSink = jasmine.createSpy('customSink');
+        audit.addSink(customSink);
+        audit.removeSink(customSink);
+        audit.emit({userId: 'user1'});
+        expect(customSink).not.toHaveBeenCalled();
+    });
+
+    it('should isolate sink failures', () => {
+        const memorySink = audit.createMemorySink();
+        audit.addSink(() => {
+            throw new Error('Sink is down');
+        });
+        audit.addSink(memorySink);
+        audit.emit({userId: 'user1'});
+        expect(memorySink.getEvents().length).toEqual(1);
+    });
+
+    it('should keep the most recent events in memory', () => {
+        const memorySink = audit.createMemorySink({maxEvents: 2});
+        memorySink.write({id: 1});
+        memorySink.write({id: 2});
+        memorySink.write({id: 3});
+        expect(memorySink.getEvents()).toEqual([{id: 2}, {id: 3}]);
+    });
+
+    describe('file sink', () => {
+        let dir, filename;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zerv-security-audit-'));
+            filename = path.join(dir, 'audit.jsonl');
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+            fs.rmdirSync(dir);
+        });
+
+        it('should append events as json lines', async () => {
+            const sink = audit.createFileSink({filename});
+            sink.write({id: 1});
+            sink.write({id: 2});
+            await sink.flush();
+            expect(fs.readFileSync(filename, 'utf8')).toEqual('{"id":1}\n{"id":2}\n');
+        });
+
+        it('should rotate the file when it is full', async () => {
+            const sink = audit.createFileSink({filename, maxSize: 10, maxFiles: 2});
+            sink.write({id: 1});
+            sink.write({id: 2});
+            sink.write({id: 3});
+            sink.write({id: 4});
+            await sink.flush();
+            expect(fs.readFileSync(filename, 'utf8')).toEqual('{"id":4}\n');
+            expect(fs.readFileSync(filename + '.1', 'utf8')).toEqual('{"id":3}\n');
+            expect(fs.readFileSync(filename + '.2', 'utf8')).toEqual('{"id":2}\n');
+            expect(fs.existsSync(filename + '.3')).toBeFalse();
+        });
+    });
+});
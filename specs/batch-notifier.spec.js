@@ -0,0 +1,55 @@
+'strict mode';
+
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+const batchNotifier = require('../lib/batch-notifier');
+
+describe('Batch notifier', () => {
+    let users;
+
+    beforeEach(() => {
+        users = [1, 2, 3, 4, 5].map((id) => ({tenantId: 'tenantId', id: 'user' + id}));
+    });
+
+    it('should notify the users batch by batch', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const notify = jasmine.createSpy('notify').and.callFake(() => {
+            running++;
+            maxRunning = Math.max(running, maxRunning);
+            return new Promise((resolve) => setTimeout(() => {
+                running--;
+                resolve();
+            }));
+        });
+        const onProgress = jasmine.createSpy('onProgress');
+        const report = await batchNotifier.notifyInBatches(users, notify, {batchSize: 2, delay: 1, onProgress});
+        expect(report).toEqual({total: 5, notified: 5, failures: []});
+        expect(notify).toHaveBeenCalledTimes(5);
+        expect(maxRunning).toBe(2);
+        expect(onProgress.calls.allArgs()).toEqual([
+            [{total: 5, processed: 2, notified: 2, failed: 0}],
+            [{total: 5, processed: 4, notified: 4, failed: 0}],
+            [{total: 5, processed: 5, notified: 5, failed: 0}]
+        ]);
+    });
+
+    it('should report the failures without stopping', async () => {
+        const notify = (user) => {
+            if (user.id === 'user2') {
+                return Promise.reject(new Error('User not found'));
+            }
+            if (user.id === 'user4') {
+                throw new Error('Invalid role');
+            }
+            return Promise.resolve();
+        };
+        const report = await batchNotifier.notifyInBatches(users, notify, {batchSize: 3, delay: 0});
+        expect(report.notified).toBe(3);
+        expect(report.failures).toEqual([
+            {tenantId: 'tenantId', userId: 'user2', error: 'User not found'},
+            {tenantId: 'tenantId', userId: 'user4', error: 'Invalid role'}
+        ]);
+    });
+});
@@ -0,0 +1,64 @@
+'strict mode';
+
+const ConditionExpression = require('../lib/condition-expression');
+
+describe('Condition expression', () => {
+    let conditions;
+
+    beforeEach(() => {
+        conditions = {
+            'ownership.isOwner': jasmine.createSpy('isOwner').and.callFake((params, contextParams) => contextParams.owner),
+            'calendar.isWeekend': jasmine.createSpy('isWeekend').and.callFake((params, contextParams) => contextParams.weekend),
+            'region.inEU': jasmine.createSpy('inEU').and.callFake((params, contextParams) => Promise.resolve(contextParams.region === 'EU')),
+            'region.inUK': jasmine.createSpy('inUK').and.callFake((params, contextParams) => contextParams.region === 'UK')
+        };
+    });
+
+    function compile(expression) {
+        return ConditionExpression.compile(ConditionExpression.parse(expression), (reference) => conditions[reference.reference]);
+    }
+
+    it('should parse a single condition', () => {
+        expect(ConditionExpression.parse('ownership.isOwner')).toEqual({
+            type: 'reference',
+            reference: 'ownership.isOwner',
+            factory: 'ownership',
+            name: 'isOwner'
+        });
+    });
+
+    it('should list the condition references', () => {
+        const tree = ConditionExpression.parse('ownership.isOwner && !(calendar.isWeekend || any(region.inEU, ownership.isOwner))');
+        expect(ConditionExpression.getReferences(tree)).toEqual(['ownership.isOwner', 'calendar.isWeekend', 'region.inEU']);
+    });
+
+    it('should reject invalid expressions', () => {
+        expect(() => ConditionExpression.parse('ownership.isOwner &&')).toThrowError('Invalid condition expression [ownership.isOwner &&]: unexpected end');
+        expect(() => ConditionExpression.parse('(ownership.isOwner')).toThrowError('Invalid condition expression [(ownership.isOwner]: [)] expected');
+        expect(() => ConditionExpression.parse('isOwner')).toThrowError('Invalid condition expression [isOwner]: condition [isOwner] must be prefixed with its factory name');
+        expect(() => ConditionExpression.parse('some(region.inEU)')).toThrowError('Invalid condition expression [some(region.inEU)]: unknown function [some]');
+        expect(() => ConditionExpression.parse('region.inEU & region.inUK')).toThrowError('Invalid condition expression [region.inEU & region.inUK]: unexpected character at position 11');
+        expect(() => ConditionExpression.parse('region.inEU region.inUK')).toThrowError('Invalid condition expression [region.inEU region.inUK]: unexpected [region.inUK]');
+    });
+
+    it('should evaluate the expression with the params and context params', () => {
+        const condition = compile('ownership.isOwner && !calendar.isWeekend');
+        expect(condition({limit: 5}, {owner: true, weekend: false})).toBeTrue();
+        expect(condition({limit: 5}, {owner: true, weekend: true})).toBeFalse();
+        expect(conditions['ownership.isOwner']).toHaveBeenCalledWith({limit: 5}, {owner: true, weekend: true});
+    });
+
+    it('should short-circuit the evaluation', () => {
+        expect(compile('ownership.isOwner && calendar.isWeekend')({}, {owner: false})).toBeFalse();
+        expect(compile('ownership.isOwner || calendar.isWeekend')({}, {owner: true})).toBeTrue();
+        expect(conditions['calendar.isWeekend']).not.toHaveBeenCalled();
+    });
+
+    it('should evaluate asynchronous conditions', async () => {
+        const condition = compile('any(region.inEU, region.inUK)');
+        expect(await condition({}, {region: 'EU'})).toBeTrue();
+        expect(await condition({}, {region: 'UK'})).toBeTrue();
+        expect(await condition({}, {region: 'US'})).toBeFalse();
+        expect(await compile('all(region.inEU, !region.inUK)')({}, {region: 'EU'})).toBeTrue();
+    });
+});
@@ -0,0 +1,50 @@
+'strict mode';
+
+const LocatorPattern = require('../lib/locator-pattern');
+
+describe('Locator pattern', () => {
+    it('should match one segment with *', () => {
+        expect(LocatorPattern.matches('api.account.*', 'api.account.updateOne')).toBeTrue();
+        expect(LocatorPattern.matches('api.*.updateOne', 'api.account.updateOne')).toBeTrue();
+        expect(LocatorPattern.matches('api.account.*', 'api.account')).toBeFalse();
+        expect(LocatorPattern.matches('api.account.*', 'api.account.history.get')).toBeFalse();
+    });
+
+    it('should match one or more segments with **', () => {
+        expect(LocatorPattern.matches('api.**', 'api.account')).toBeTrue();
+        expect(LocatorPattern.matches('api.**', 'api.account.updateOne')).toBeTrue();
+        expect(LocatorPattern.matches('api.**', 'api')).toBeFalse();
+        expect(LocatorPattern.matches('api.**', 'report.account')).toBeFalse();
+    });
+
+    it('should validate patterns', () => {
+        expect(() => LocatorPattern.validate('api.acc*')).toThrowError('Wildcard must be a full segment in locator [api.acc*]');
+        expect(() => LocatorPattern.validate('api.**.get')).toThrowError('** can only be the last segment in locator [api.**.get]');
+        expect(() => LocatorPattern.validate('api..*')).toThrowError('Empty segment in locator [api..*]');
+        expect(() => LocatorPattern.validate('api.*.get')).not.toThrow();
+    });
+
+    it('should compare the specificity of patterns', () => {
+        expect(LocatorPattern.compareSpecificity('api.account.*', 'api.**')).toBeLessThan(0);
+        expect(LocatorPattern.compareSpecificity('api.*.*', 'api.**')).toBeLessThan(0);
+        expect(LocatorPattern.compareSpecificity('api.**', 'api.*')).toBeGreaterThan(0);
+        expect(LocatorPattern.compareSpecificity('api.*.updateOne', 'api.account.*')).toEqual(0);
+    });
+
+    it('should detect overlapping patterns', () => {
+        expect(LocatorPattern.overlap('api.*.updateOne', 'api.account.*')).toBeTrue();
+        expect(LocatorPattern.overlap('api.account.*', 'api.report.*')).toBeFalse();
+        expect(LocatorPattern.overlap('api.**', 'api.*.*')).toBeTrue();
+        expect(LocatorPattern.overlap('api.*', 'api.*.*')).toBeFalse();
+    });
+
+    it('should find the most specific match', () => {
+        const items = ['api.**', 'api.account.*', 'api.account.updateOne', 'api.*.*'];
+        const identity = (locator) => locator;
+        expect(LocatorPattern.findBestMatch(items, 'api.account.updateOne', identity)).toEqual('api.account.updateOne');
+        expect(LocatorPattern.findBestMatch(items, 'api.account.deleteOne', identity)).toEqual('api.account.*');
+        expect(LocatorPattern.findBestMatch(items, 'api.report.get', identity)).toEqual('api.*.*');
+        expect(LocatorPattern.findBestMatch(items, 'api.report.history.get', identity)).toEqual('api.**');
+        expect(LocatorPattern.findBestMatch(items, 'report.get', identity)).toBeUndefined();
+    });
+});
@@ -0,0 +1,42 @@
+'strict mode';
+
+const ParamsSchema = require('../lib/params-schema');
+
+describe('Params schema', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            maxAmount: {type: 'number', minimum: 0},
+            currency: {type: 'string', enum: ['USD', 'EUR']},
+            regions: {type: 'array', items: {type: 'string', pattern: '^[A-Z]{2}$'}}
+        },
+        required: ['maxAmount'],
+        additionalProperties: false
+    };
+
+    it('should accept a supported schema', () => {
+        expect(() => ParamsSchema.checkSchema(schema)).not.toThrow();
+    });
+
+    it('should reject an unsupported schema', () => {
+        expect(() => ParamsSchema.checkSchema({type: 'date'})).toThrowError('Unsupported type [date] in schema of params. Supported types are [object,array,string,number,integer,boolean]');
+        expect(() => ParamsSchema.checkSchema({properties: {amount: {format: 'currency'}}})).toThrowError('Unsupported keyword [format] in schema of params.amount');
+        expect(() => ParamsSchema.checkSchema({additionalProperties: {}})).toThrowError('additionalProperties can only be false in schema of params');
+    });
+
+    it('should validate params', () => {
+        expect(ParamsSchema.validate(schema, {maxAmount: 10, currency: 'USD', regions: ['EU']})).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+        expect(ParamsSchema.validate(schema, {currency: 'CAD', regions: ['EU', 'usa'], limit: 1})).toEqual([
+            'params.maxAmount is required',
+            'params.currency must be one of [USD, EUR]',
+            'params.regions[1] must match pattern ^[A-Z]{2}$',
+            'params.limit is not allowed'
+        ]);
+        expect(ParamsSchema.validate(schema, {maxAmount: '10'})).toEqual(['params.maxAmount must be a number']);
+        expect(ParamsSchema.validate(schema, {maxAmount: -1})).toEqual(['params.maxAmount must be greater than or equal to 0']);
+        expect(ParamsSchema.validate(schema, 'USD')).toEqual(['params must be an object']);
+    });
+});
@@ -0,0 +1,103 @@
+'strict mode';
+
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+const service = require('../lib/security.service');
+const roleMatrix = require('../lib/role-matrix');
+
+describe('Role matrix', () => {
+    let roles;
+
+    beforeEach(() => {
+        roles = [
+            {name: 'Manager', policies: [{name: 'Account Policy', settings: ['update', 'lock']}]},
+            {name: 'Guest', policies: []}
+        ];
+        service.load({
+            dictionary: [
+                {name: 'Update Account Api', type: 'api', locator: 'api.account.updateOne', defaultSetting: 'denied'},
+                {name: 'Account menu', type: 'menu', locator: 'accountOption', defaultSetting: 'hide'}
+            ],
+            resourceTypes: [
+                {
+                    name: 'api',
+                    env: 'server',
+                    settings: [{value: 'allowed', priority: 1}, {value: 'denied', priority: 0}],
+                    apply: (setting) => setting.value === 'allowed'
+                },
+                {
+                    name: 'menu',
+                    env: 'client',
+                    settings: [{value: 'show', priority: 1}, {value: 'hide', priority: 0}]
+                }
+            ],
+            policies: [{
+                name: 'Account Policy',
+                settings: [
+                    {
+                        setting: 'update',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'allowed'},
+                            {resource: 'Account menu', setting: 'show'}
+                        ]
+                    },
+                    {
+                        setting: 'lock',
+                        condition: 'account.isLocked',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'denied'}
+                        ]
+                    }
+                ]
+            }],
+            conditionFactories: [{factory: 'account', isLocked: (params, contextParams) => contextParams.account.locked}],
+            findRoleByUser: () => Promise.resolve(null),
+            findRole: () => Promise.resolve(null),
+            defaultRole: 'Guest'
+        });
+    });
+
+    it('should evaluate each role against each protected resource', async () => {
+        const matrix = await roleMatrix.buildRoleMatrix(roles);
+        expect(matrix.roles).toEqual(['Manager', 'Guest']);
+        expect(matrix.rows.length).toBe(2);
+        expect(matrix.rows[0]).toEqual({
+            resource: 'Account menu',
+            locator: 'accountOption',
+            env: 'client',
+            type: 'menu',
+            defaultSetting: 'hide',
+            cells: {
+                Manager: {setting: 'show', usedDefault: false, policy: {name: 'Account Policy', setting: 'update'}, conditional: false, conditionalSettings: []},
+                Guest: {setting: 'hide', usedDefault: true, policy: null, conditional: false, conditionalSettings: []}
+            }
+        });
+        expect(matrix.rows[1].cells.Manager).toEqual({
+            setting: 'allowed',
+            usedDefault: false,
+            policy: {name: 'Account Policy', setting: 'update'},
+            conditional: true,
+            conditionalSettings: ['denied']
+        });
+    });
+
+    it('should export the matrix as csv', async () => {
+        expect(await roleMatrix.exportRoleMatrix(roles)).toEqual([
+            'Resource,Locator,Env,Default,Manager,Guest',
+            'Account menu,accountOption,client,hide,show,hide (default)',
+            'Update Account Api,api.account.updateOne,server,denied,allowed * (denied),denied (default)',
+            ''
+        ].join('\n'));
+    });
+
+    it('should export the matrix as markdown', async () => {
+        const markdown = await roleMatrix.exportRoleMatrix(roles, {format: 'markdown'});
+        expect(markdown).toContain('| Resource | Locator | Env | Default | Manager | Guest |\n| --- | --- | --- | --- | --- | --- |\n');
+        expect(markdown).toContain('| Update Account Api | api.account.updateOne | server | denied | allowed * (denied) | denied (default) |');
+    });
+
+    it('should reject an unsupported format', async () => {
+        await expectAsync(roleMatrix.exportRoleMatrix(roles, {format: 'pdf'})).toBeRejectedWithError('Unsupported role matrix format [pdf]. Supported formats are [csv,json,markdown]');
+    });
+});
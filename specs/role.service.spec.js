@@ -0,0 +1,126 @@
+'strict mode';
+
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+const service = require('../lib/security.service');
+const roleService = require('../lib/role.service');
+const SecurityErrors = require('../lib/security-errors');
+
+describe('Role service', () => {
+    let role;
+
+    beforeEach(() => {
+        service.load({
+            dictionary: [
+                {name: 'Update Account Api', type: 'api', locator: 'api.account.updateOne', defaultSetting: 'denied'}
+            ],
+            resourceTypes: [{
+                name: 'api',
+                env: 'server',
+                settings: [{value: 'allowed', priority: 1}, {value: 'denied', priority: 0}],
+                apply: (setting) => setting.value === 'allowed'
+            }],
+            policies: [{
+                name: 'Account Policy',
+                settings: [
+                    {setting: 'update', protectedResources: [{resource: 'Update Account Api', setting: 'allowed'}]},
+                    {
+                        setting: 'limit',
+                        paramsSchema: {type: 'object', required: ['max'], properties: {max: {type: 'number'}}},
+                        protectedResources: [{resource: 'Update Account Api', setting: 'allowed'}]
+                    }
+                ]
+            }],
+            conditionFactories: [],
+            findRoleByUser: () => Promise.resolve(null),
+            findRole: () => Promise.resolve(null),
+            defaultRole: 'Guest'
+        });
+        roleService.setStore(roleService.createMemoryRoleStore({
+            tenantId: [{id: 'guestId', revision: 3, name: 'Guest', policies: []}]
+        }));
+        role = {name: 'Manager', extends: 'Guest', policies: [{name: 'Account Policy', settings: ['update']}]};
+    });
+
+    it('should create a role with an id and a first revision', async () => {
+        const savedRole = await roleService.createRole('tenantId', role);
+        expect(savedRole.id).toBeDefined();
+        expect(savedRole.revision).toBe(1);
+        expect(await roleService.findRole('tenantId', 'Manager')).toEqual(savedRole);
+        expect(await roleService.findAllRoles('otherTenantId')).toEqual([]);
+    });
+
+    it('should validate the policy settings against the policy definitions', async () => {
+        role.policies = [
+            {name: 'Account Policy', settings: ['close', {value: 'limit', params: {max: 'ten'}}]},
+            {name: 'Unknown Policy', settings: []}
+        ];
+        const err = await roleService.createRole('tenantId', role).catch((err) => err);
+        expect(err instanceof SecurityErrors.InvalidRoleError).toBeTrue();
+        expect(err.status).toBe(400);
+        expect(err.errors).toEqual([
+            'Setting ["close"] does NOT exist for policy [Account Policy]',
+            'Invalid params for policy [Account Policy] setting [limit]: params.max must be a number',
+            'Policy [Unknown Policy] does NOT exist'
+        ]);
+        expect(await roleService.findRole('tenantId', 'Manager')).toBeNull();
+    });
+
+    it('should reject a duplicate name and an invalid inheritance', async () => {
+        await roleService.createRole('tenantId', role);
+        await expectAsync(roleService.createRole('tenantId', role)).toBeRejectedWithError('Invalid role [Manager]: Role [Manager] already exists');
+        await expectAsync(roleService.createRole('tenantId', {name: 'Clerk', extends: 'Auditor', policies: []}))
+            .toBeRejectedWithError('Invalid role [Clerk]: Role [Auditor] extended by role [Clerk] does not exist');
+        await expectAsync(roleService.updateRole('tenantId', {name: 'Guest', extends: 'Manager', policies: []}))
+            .toBeRejectedWithError('Invalid role [Guest]: Role inheritance cycle detected: Guest -> Manager -> Guest');
+    });
+
+    it('should update a role and increase its revision', async () => {
+        const guest = await roleService.updateRole('tenantId', {name: 'Guest', policies: [{name: 'Account Policy', settings: ['update']}]});
+        expect(guest.id).toBe('guestId');
+        expect(guest.revision).toBe(4);
+        const err = await roleService.updateRole('tenantId', role).catch((err) => err);
+        expect(err instanceof SecurityErrors.RoleNotFoundError).toBeTrue();
+        expect(err.status).toBe(404);
+    });
+
+    it('should not delete a role extended by another role', async () => {
+        await roleService.createRole('tenantId', role);
+        await expectAsync(roleService.deleteRole('tenantId', 'Guest')).toBeRejectedWithError('Invalid role [Guest]: Role [Guest] is extended by role [Manager]');
+        const deletedRole = await roleService.deleteRole('tenantId', 'Manager');
+        expect(deletedRole.name).toBe('Manager');
+        await roleService.deleteRole('tenantId', 'Guest');
+        expect(await roleService.findAllRoles('tenantId')).toEqual([]);
+    });
+
+    it('should clone a role with a new identity', async () => {
+        const manager = await roleService.createRole('tenantId', role);
+        const clone = await roleService.cloneRole('tenantId', 'Manager', {name: 'Assistant Manager'});
+        expect(clone.id).not.toBe(manager.id);
+        expect(clone.revision).toBe(1);
+        expect(clone.policies).toEqual(manager.policies);
+        expect(clone.extends).toBe('Guest');
+    });
+
+    it('should resolve the inheritance of the roles within their tenant', async () => {
+        service.load({
+            dictionary: [{name: 'Update Account Api', type: 'api', locator: 'api.account.updateOne', defaultSetting: 'denied'}],
+            resourceTypes: [{name: 'api', env: 'server', settings: [{value: 'allowed', priority: 1}, {value: 'denied', priority: 0}], apply: (setting) => setting.value === 'allowed'}],
+            policies: [{name: 'Account Policy', settings: [{setting: 'update', protectedResources: [{resource: 'Update Account Api', setting: 'allowed'}]}]}],
+            conditionFactories: [],
+            findRoleByUser: (user) => roleService.findRole(user.tenantId, user.permissionRoleCode),
+            findRole: (name, tenantId) => roleService.findRole(tenantId, name),
+            defaultRole: 'Guest'
+        });
+        await roleService.updateRole('tenantId', {name: 'Guest', policies: [{name: 'Account Policy', settings: ['update']}]});
+        await roleService.createRole('tenantId', {name: 'Manager', extends: 'Guest', policies: []});
+        expect((await service.flattenRole('Manager', 'tenantId')).inheritance).toEqual(['Guest']);
+        const user = {id: 'userId', tenantId: 'tenantId', display: 'John', permissionRoleCode: 'Manager', isTenantAdmin: () => false};
+        expect((await service.applyResourcePolicy(user, 'api.account.updateOne', {})).result).toBeTrue();
+    });
+
+    it('should require a complete store', () => {
+        expect(() => roleService.setStore({findAll: () => Promise.resolve([])})).toThrowError('Role store must provide findAll, find, save and remove functions');
+    });
+});
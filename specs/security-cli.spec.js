@@ -0,0 +1,73 @@
+'strict mode';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const securityCli = require('../lib/security-cli');
+
+describe('Security cli', () => {
+    let output, configFile, configCount = 0;
+
+    beforeEach(() => {
+        output = {
+            log: jasmine.createSpy('log'),
+            error: jasmine.createSpy('error')
+        };
+        configFile = path.join(os.tmpdir(), 'zerv-security-cli-' + process.pid + '-' + (++configCount) + '.js');
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(configFile)) {
+            fs.unlinkSync(configFile);
+        }
+    });
+
+    it('should exit with an error code when the configuration is invalid', async () => {
+        writeConfig('module.exports = () => Promise.resolve({conditionFactories: [], resourceTypes: [], dictionary: [], policies: [{name: "Account Policy"}]});');
+        const code = await securityCli.run(['lint', configFile], output);
+        expect(code).toBe(1);
+        expect(output.log).toHaveBeenCalledWith('ERROR   policies [Account Policy]: Settings is required - invalid policy [Account Policy]');
+        expect(output.log).toHaveBeenCalledWith(configFile + ': 1 error(s), 0 warning(s)');
+    });
+
+    it('should fail on warnings only when requested', async () => {
+        writeConfig('module.exports = {conditionFactories: [], resourceTypes: [], dictionary: [], policies: [{name: "Account Policy", settings: []}]};');
+        expect(await securityCli.run(['lint', configFile], output)).toBe(0);
+        expect(await securityCli.run(['lint', configFile, '--fail-on-warnings'], output)).toBe(1);
+        expect(output.log).toHaveBeenCalledWith('WARNING policies [Account Policy]: Policy [Account Policy] has no defaultSetting. Its protected resources use their dictionary default setting for roles not selecting it.');
+    });
+
+    it('should export the role matrix', async () => {
+        writeConfig([
+            'module.exports = {',
+            '    conditionFactories: [],',
+            '    resourceTypes: [{name: "api", env: "server", settings: [{value: "allowed", priority: 1}, {value: "denied", priority: 0}], apply: () => true}],',
+            '    dictionary: [{name: "Update Account Api", type: "api", locator: "api.account.updateOne", defaultSetting: "denied"}],',
+            '    policies: [{name: "Account Policy", settings: [{setting: "update", protectedResources: [{resource: "Update Account Api", setting: "allowed"}]}]}],',
+            '    defaultRole: "Guest",',
+            '    findRoleByUser: () => Promise.resolve(null),',
+            '    findRole: () => Promise.resolve(null),',
+            '    findAllRoles: () => Promise.resolve([{name: "Manager", policies: [{name: "Account Policy", settings: ["update"]}]}])',
+            '};'
+        ].join('\n'));
+        expect(await securityCli.run(['matrix', configFile, '--format=json'], output)).toBe(0);
+        const matrix = JSON.parse(output.log.calls.mostRecent().args[0]);
+        expect(matrix.rows[0].cells.Manager.setting).toBe('allowed');
+    });
+
+    it('should require the roles to export the role matrix', async () => {
+        writeConfig('module.exports = {conditionFactories: [], resourceTypes: [], dictionary: [], policies: [], defaultRole: "Guest"};');
+        expect(await securityCli.run(['matrix', configFile], output)).toBe(1);
+        expect(output.error).toHaveBeenCalledWith('Failed to export the role matrix of [' + configFile + ']: The configuration must export roles or findAllRoles(tenantId)');
+    });
+
+    it('should print the usage on unknown command', async () => {
+        expect(await securityCli.run(['check'], output)).toBe(2);
+        expect(output.error).toHaveBeenCalled();
+    });
+
+    function writeConfig(content) {
+        fs.writeFileSync(configFile, content);
+    }
+});
@@ -0,0 +1,137 @@
+'strict mode';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+const loader = require('../lib/security-configuration-loader');
+const SecurityErrors = require('../lib/security-errors');
+
+describe('Security configuration loader', () => {
+    let directory, registry;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zerv-security-config-'));
+        fs.mkdirSync(path.join(directory, 'dictionary'));
+        fs.mkdirSync(path.join(directory, 'policies'));
+        writeFile('dictionary/api.yml', [
+            '- name: Update Account Api',
+            '  type: api',
+            '  locator: api.account.updateOne',
+            '  defaultSetting: denied'
+        ]);
+        writeFile('dictionary/menu.json', [
+            '[',
+            '    {"name": "Account menu", "type": "menu", "locator": "accountOption", "defaultSetting": "hide"}',
+            ']'
+        ]);
+        writeFile('policies/accounting.yml', [
+            '- name: Account Policy',
+            '  settings:',
+            '    - setting: update',
+            '      condition: account.isOpen',
+            '      protectedResources:',
+            '        - resource: Update Account Api',
+            '          setting: allowed',
+            '        - resource: Account menu',
+            '          setting: show'
+        ]);
+        registry = {
+            resourceTypes: {
+                api: {
+                    env: 'server',
+                    settings: [{value: 'allowed', priority: 1}, {value: 'denied', priority: 0}],
+                    apply: (setting) => setting.value === 'allowed'
+                },
+                menu: {
+                    env: 'client',
+                    settings: [{value: 'show', priority: 1}, {value: 'hide', priority: 0}]
+                }
+            },
+            conditionFactories: {
+                account: {isOpen: (params, contextParams) => !contextParams.account.closed}
+            }
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it('should merge the files and resolve the registered modules', async () => {
+        const configuration = await loader.loadConfigurationDirectory(directory, registry);
+        expect(_.map(configuration.dictionary, 'name')).toEqual(['Update Account Api', 'Account menu']);
+        expect(_.map(configuration.policies, 'name')).toEqual(['Account Policy']);
+        expect(_.map(configuration.resourceTypes, 'name')).toEqual(['api', 'menu']);
+        expect(configuration.resourceTypes[0].apply).toBe(registry.resourceTypes.api.apply);
+        expect(configuration.conditionFactories[0].factory).toBe('account');
+    });
+
+    it('should complete the resource types declared in files with the registered modules', async () => {
+        fs.mkdirSync(path.join(directory, 'resourceTypes'));
+        writeFile('resourceTypes/api.yml', [
+            '- name: api',
+            '  env: server',
+            '  conflictStrategy: most-restrictive',
+            '  restrictionOrder: [denied, allowed]',
+            '  settings:',
+            '    - {value: allowed, priority: 1}',
+            '    - {value: denied, priority: 1}'
+        ]);
+        registry.resourceTypes.api = {apply: registry.resourceTypes.api.apply};
+        const configuration = await loader.loadConfigurationDirectory(directory, registry);
+        expect(configuration.resourceTypes[0].conflictStrategy).toBe('most-restrictive');
+        expect(configuration.resourceTypes[0].apply).toBe(registry.resourceTypes.api.apply);
+    });
+
+    it('should report the file and line of each integrity error', async () => {
+        writeFile('policies/billing.yml', [
+            '# billing',
+            '- name: Billing Policy',
+            '  settings:',
+            '    - setting: pay',
+            '      protectedResources:',
+            '        - resource: Pay Invoice Api',
+            '          setting: allowed'
+        ]);
+        delete registry.conditionFactories.account;
+        const err = await loader.loadConfigurationDirectory(directory, registry).catch((err) => err);
+        expect(err instanceof SecurityErrors.InvalidPolicyError).toBeTrue();
+        expect(err.errors.length).toBe(2);
+        expect(err.errors[0]).toMatch(/accounting\.yml:1: Undefined condition factory \[account\]/);
+        expect(err.errors[1]).toMatch(/billing\.yml:2: Resource \[Pay Invoice Api\] is not defined in the dictionary/);
+        expect(err.details[1].line).toBe(2);
+    });
+
+    it('should report the syntax errors', async () => {
+        writeFile('dictionary/broken.yml', [
+            '- name: Broken',
+            '  type: [api'
+        ]);
+        const err = await loader.loadConfigurationDirectory(directory, registry).catch((err) => err);
+        expect(err instanceof SecurityErrors.InvalidPolicyError).toBeTrue();
+        expect(err.details[0].file).toBe(path.join(directory, 'dictionary/broken.yml'));
+        expect(err.details[0].line).toBeGreaterThan(1);
+    });
+
+    it('should reload the configuration when a file changes', (done) => {
+        const watcher = loader.watchConfigurationDirectory(directory, registry, (err, configuration) => {
+            watcher.close();
+            expect(err).toBeNull();
+            expect(configuration.policies[0].settings[0].condition).toBeUndefined();
+            done();
+        });
+        writeFile('policies/accounting.yml', [
+            '- name: Account Policy',
+            '  settings:',
+            '    - setting: update'
+        ]);
+    });
+
+    function writeFile(file, lines) {
+        fs.writeFileSync(path.join(directory, file), lines.join('\n'));
+    }
+});
@@ -0,0 +1,187 @@
+'strict mode';
+
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+const securityDefinitionService = require('../lib/security-definition.service');
+
+describe('Security definition service', () => {
+    let config;
+
+    beforeEach(() => {
+        config = {
+            dictionary: [
+                {name: 'Update Account Api', type: 'api', locator: 'api.account.updateOne', defaultSetting: 'denied'},
+                {name: 'Delete Account Api', type: 'api', locator: 'api.account.deleteOne', defaultSetting: 'denied'}
+            ],
+            resourceTypes: [{
+                name: 'api',
+                env: 'server',
+                settings: [
+                    {value: 'allowed', priority: 1},
+                    {value: 'denied', priority: 0},
+                    {value: 'logged', priority: 2}
+                ],
+                apply: (setting) => setting.value === 'allowed'
+            }],
+            policies: [{
+                name: 'Account Policy',
+                defaultSetting: 'update',
+                settings: [
+                    {
+                        setting: 'update',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'allowed'}
+                        ]
+                    }
+                ]
+            }],
+            conditionFactories: []
+        };
+    });
+
+    describe('load', () => {
+        it('should report all the errors', () => {
+            config.dictionary.push({name: 'Close Account Api', type: 'unknown', locator: 'api.account.close', defaultSetting: 'denied'});
+            config.policies[0].settings[0].protectedResources.push({resource: 'Update Account Api', setting: 'unknown'});
+            config.policies.push({name: 'Billing Policy'});
+            try {
+                securityDefinitionService(config);
+                fail('should have thrown');
+            } catch (err) {
+                expect(err.message).toBe('Invalid Application Security Configuration');
+                expect(err.errors.length).toBe(3);
+                expect(err.details[0].section).toBe('dictionary');
+                expect(err.details[0].name).toBe('Close Account Api');
+                expect(err.details[0].message).toContain('Undefined resource type [unknown].');
+                expect(err.details[1].section).toBe('policies');
+                expect(err.details[1].name).toBe('Account Policy');
+                expect(err.details[1].message).toContain('Resource [Update Account Api] uses an undefined setting [unknown]');
+                expect(err.details[2].message).toContain('Settings is required - invalid policy [Billing Policy]');
+            }
+        });
+
+        it('should validate the missing params of the policy default setting', () => {
+            config.policies[0].settings[0].paramsSchema = {type: 'object', required: ['max'], properties: {max: {type: 'number'}}};
+            expect(() => securityDefinitionService(config)).toThrowError('Invalid Application Security Configuration');
+            expect(securityDefinitionService.lint(config).errors[0].message).toContain('Invalid params for policy [Account Policy] defaultSetting [update]: params.max is required');
+            config.policies[0].settings[0].params = {max: 10};
+            expect(() => securityDefinitionService(config)).not.toThrow();
+        });
+    });
+
+    describe('condition references', () => {
+        let isLocked;
+
+        beforeEach(() => {
+            isLocked = (params, contextParams) => contextParams.account.locked;
+            isLocked.requiredContextParams = ['account'];
+            config.conditionFactories = [{factory: 'account', isLocked}];
+            config.policies[0].settings[0].condition = 'account.isLocked';
+        });
+
+        it('should load conditions resolving to a condition function', () => {
+            config.dictionary[0].contextParams = ['account', 'user'];
+            expect(() => securityDefinitionService(config)).not.toThrow();
+        });
+
+        it('should reject a condition of an undefined factory', () => {
+            config.policies[0].settings[0].condition = 'account.isLocked && billing.isLate';
+            expect(getLoadErrors()[0]).toContain('Undefined condition factory [billing]');
+        });
+
+        it('should reject a condition that is not a function', () => {
+            config.policies[0].settings[0].condition = 'account.isClosed';
+            expect(getLoadErrors()[0]).toContain('Condition [account.isClosed] is not a function of condition factory [account]');
+        });
+
+        it('should not resolve the conditions evaluated by the client only', () => {
+            config.resourceTypes[0].env = 'client';
+            config.policies[0].settings[0].condition = 'menu.isVisible';
+            expect(() => securityDefinitionService(config)).not.toThrow();
+        });
+
+        it('should reject a resource not providing the context params required by the condition', () => {
+            config.dictionary[0].contextParams = ['user'];
+            expect(getLoadErrors()[0]).toContain('Resource [Update Account Api] does not provide the context params [account] required by condition [account.isLocked]. Its contextParams are [user]');
+        });
+
+        function getLoadErrors() {
+            try {
+                securityDefinitionService(config);
+            } catch (err) {
+                return err.errors;
+            }
+            return [];
+        }
+    });
+
+    describe('lint', () => {
+        it('should report no issue on a clean configuration', () => {
+            config.resourceTypes[0].settings.pop();
+            config.policies[0].settings.push({
+                setting: 'full',
+                protectedResources: [
+                    {resource: 'Update Account Api', setting: 'allowed'},
+                    {resource: 'Delete Account Api', setting: 'denied'}
+                ]
+            });
+            expect(securityDefinitionService.lint(config)).toEqual({errors: [], warnings: []});
+        });
+
+        it('should report the warnings', () => {
+            config.policies[0].defaultSetting = null;
+            config.policies[0].settings[0].protectedResources.push({resource: 'Update Account Api', setting: 'logged'});
+            const result = securityDefinitionService.lint(config);
+            expect(result.errors).toEqual([]);
+            expect(result.warnings).toEqual([
+                {
+                    message: 'Policy [Account Policy] has no defaultSetting. Its protected resources use their dictionary default setting for roles not selecting it.',
+                    section: 'policies',
+                    name: 'Account Policy'
+                },
+                {
+                    message: 'Setting [logged] of resource [Update Account Api] is unreachable in policy [Account Policy] setting [update]: the same policy setting gives the resource the setting [allowed] which takes precedence',
+                    section: 'policies',
+                    name: 'Account Policy'
+                },
+                {
+                    message: 'Protected resource [Delete Account Api] is not referenced by any policy',
+                    section: 'dictionary',
+                    name: 'Delete Account Api'
+                },
+                {
+                    message: 'Setting [denied] of resource type [api] is not set by any policy',
+                    section: 'resourceTypes',
+                    name: 'api'
+                }
+            ]);
+        });
+
+        it('should report the conflicts not resolved by the conflict strategy', () => {
+            config.resourceTypes[0].settings[2].priority = 1;
+            config.policies.push({
+                name: 'Log Policy',
+                defaultSetting: 'log',
+                settings: [{setting: 'log', protectedResources: [{resource: 'Update Account Api', setting: 'logged'}]}]
+            });
+            expect(securityDefinitionService.lint(config).warnings).toContain({
+                message: 'Protected resource [Update Account Api] can be set to conflicting settings with priority 1 by [Account Policy/update: allowed], [Log Policy/log: logged] - resolved by conflict strategy [first]',
+                section: 'dictionary',
+                name: 'Update Account Api'
+            });
+
+            config.resourceTypes[0].conflictStrategy = 'order';
+            config.resourceTypes[0].tieBreakOrder = ['denied', 'logged', 'allowed'];
+            expect(_.map(securityDefinitionService.lint(config).warnings, 'message')).not.toContain(jasmine.stringMatching('conflicting settings'));
+        });
+
+        it('should report the errors without throwing', () => {
+            config.policies[0].settings[0].protectedResources.push({resource: 'Close Account Api', setting: 'allowed'});
+            const result = securityDefinitionService.lint(config);
+            expect(result.errors.length).toBe(1);
+            expect(result.errors[0].message).toContain('Resource [Close Account Api] is not defined in the dictionary');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+'strict mode';
+
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('all');
+
+const service = require('../lib/security.service');
+const middleware = require('../lib/security-middleware');
+
+describe('Security middleware', () => {
+    let user, res, next, role;
+
+    beforeEach(() => {
+        role = {name: 'Manager', policies: [{name: 'Account Policy', settings: ['update']}]};
+        service.load({
+            dictionary: [
+                {name: 'Update Account Api', type: 'api', locator: 'api.account.updateOne', defaultSetting: 'denied'},
+                {name: 'Delete Account Api', type: 'api', locator: 'api.account.deleteOne', defaultSetting: 'denied'}
+            ],
+            resourceTypes: [{
+                name: 'api',
+                env: 'server',
+                settings: [
+                    {value: 'allowed', priority: 1},
+                    {value: 'denied', priority: 0}
+                ],
+                apply: (setting, contextParams) => setting.value === 'allowed' && !contextParams.account.locked
+            }],
+            policies: [{
+                name: 'Account Policy',
+                settings: [{setting: 'update', protectedResources: [{resource: 'Update Account Api', setting: 'allowed'}]}]
+            }],
+            findUserByTenantIdAndId: () => null,
+            findRoleByUser: () => Promise.resolve(role),
+            defaultRole: 'Manager',
+            conditionFactories: [],
+            userPolicyCache: false
+        });
+        user = {id: 'userId', tenantId: 'tenantId', display: 'John', permissionRoleCode: 'Manager', isTenantAdmin: () => false};
+        res = jasmine.createSpyObj('res', ['status', 'json']);
+        res.status.and.returnValue(res);
+    });
+
+    describe('protectRoute', () => {
+        it('should call next when the resource is granted', async () => {
+            await new Promise((resolve) => {
+                const protect = middleware.protectRoute('api.account.updateOne', (req) => ({account: req.body}));
+                protect({user, body: {locked: false}}, res, resolve);
+            });
+            expect(res.status).not.toHaveBeenCalled();
+        });
+
+        it('should respond with a 403 status when the resource is denied', async () => {
+            await new Promise((resolve) => {
+                res.json.and.callFake(resolve);
+                next = jasmine.createSpy('next');
+                const protect = middleware.protectRoute((req) => 'api.account.' + req.route.name, (req) => ({account: req.body}));
+                protect({user, body: {locked: true}, route: {name: 'updateOne'}}, res, next);
+            });
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({error: 'RESOURCE_DENIED', locator: 'api.account.updateOne'});
+        });
+
+        it('should pass other errors to next', async () => {
+            const err = await new Promise((resolve) => {
+                const protect = middleware.protectRoute('api.unknown');
+                protect({user}, res, resolve);
+            });
+            expect(err.message).toEqual('Protected resource [api.unknown] undefined');
+        });
+    });
+
+    describe('protectApi', () => {
+        it('should call the handler when the resource is granted', async () => {
+            const handler = jasmine.createSpy('handler').and.returnValue('updated');
+            const api = middleware.protectApi('api.account.updateOne', (tenantId, user, params) => ({account: params}), handler);
+            expect(await api('tenantId', user, {locked: false})).toEqual('updated');
+            expect(handler).toHaveBeenCalledWith('tenantId', user, {locked: false});
+        });
+
+        it('should reject when the resource is denied', async () => {
+            const handler = jasmine.createSpy('handler');
+            const api = middleware.protectApi('api.account.updateOne', (tenantId, user, params) => ({account: params}), handler);
+            await expectAsync(api('tenantId', user, {locked: true})).toBeRejectedWithError('RESOURCE_DENIED');
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should report the server protected resources not bound to any route', () => {
+        middleware.protectRoute('api.account.updateOne');
+        expect(middleware.reportUnboundProtectedResources()).toEqual([
+            jasmine.objectContaining({locator: 'api.account.deleteOne'})
+        ]);
+    });
+});
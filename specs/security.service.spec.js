@@ -5,6 +5,8 @@ const zlog = require('zimit-zlog');
 zlog.setRootLogger('all');
 
 const service = require('../lib/security.service');
+const audit = require('../lib/audit.service');
+const SecurityErrors = require('../lib/security-errors');
 
 describe('Security service', () => {
     it('formatUserSecurityData', () => {
@@ -21,7 +23,7 @@ describe('Security service', () => {
         const result = service.formatUserSecurityData(securityData);
         expect(result).toEqual({
             id: 'myUserId',
-            revision: jasmine.any(Number),
+            revision: jasmine.any(String),
             timestamp: Object({}),
             userId: 'myUserId', display: 'king of kings',
             policies: 'somePolices',
@@ -29,7 +31,10 @@ describe('Security service', () => {
             resourceTypes: 'typesOfProtectedResources'
         });
 
-        expect(result.revision <= Date.now()).toBeTrue();
+        // the revision only changes with the content
+        expect(service.formatUserSecurityData(securityData).revision).toEqual(result.revision);
+        securityData.policies = 'otherPolicies';
+        expect(service.formatUserSecurityData(securityData).revision).not.toEqual(result.revision);
     });
 
 
@@ -61,6 +66,1079 @@ describe('Security service', () => {
         expect(load).toThrowError('Invalid Application Security Configuration');
     });
 
+    describe('user policy cache', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should compile the user policy only once', async () => {
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(securityConfiguration.findRoleByUser).toHaveBeenCalledTimes(1);
+            expect(service.getUserPolicyCacheStats()).toEqual(jasmine.objectContaining({hits: 1, misses: 1}));
+        });
+
+        it('should compile the user policy again after invalidation', async () => {
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            service.invalidateUserPolicy(user);
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(securityConfiguration.findRoleByUser).toHaveBeenCalledTimes(2);
+        });
+
+        it('should compile the user policy again after reloading the configuration', async () => {
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            service.load(securityConfiguration);
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(securityConfiguration.findRoleByUser).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not cache when disabled', async () => {
+            securityConfiguration.userPolicyCache = false;
+            service.load(securityConfiguration);
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(securityConfiguration.findRoleByUser).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('explainResourcePolicy', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies.push({
+                name: 'Lock Policy',
+                settings: [
+                    {
+                        setting: 'lockedAccounts',
+                        condition: 'account.isLocked',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'denied'}
+                        ]
+                    }
+                ]
+            });
+            securityConfiguration.conditionFactories = [{
+                factory: 'account',
+                isLocked: (params, contextParams) => contextParams.account.locked
+            }];
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [
+                    {name: 'Account Policy', settings: ['update']},
+                    {name: 'Lock Policy', settings: ['lockedAccounts']}
+                ]
+            }));
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should explain a granted resource', async () => {
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {account: {locked: false}});
+            expect(explanation.candidates.length).toEqual(2);
+            expect(explanation.candidates[1]).toEqual(jasmine.objectContaining({
+                policy: 'Lock Policy',
+                policySetting: 'lockedAccounts',
+                condition: 'account.isLocked',
+                enabled: false
+            }));
+            expect(explanation.winner).toEqual(jasmine.objectContaining({policy: 'Account Policy', policySetting: 'update'}));
+            expect(explanation.setting.value).toEqual('allowed');
+            expect(explanation.usedDefault).toBeFalse();
+            expect(explanation.result).toBeTrue();
+            expect(explanation.denied).toBeFalse();
+        });
+
+        it('should explain a denied resource without throwing', async () => {
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {account: {locked: true}});
+            expect(explanation.winner).toEqual(jasmine.objectContaining({policy: 'Lock Policy', priority: 0}));
+            expect(explanation.setting.value).toEqual('denied');
+            expect(explanation.denied).toBeTrue();
+        });
+
+        it('should wait for asynchronous conditions', async () => {
+            securityConfiguration.conditionFactories[0].isLocked = (params, contextParams) => Promise.resolve(contextParams.account.locked);
+            service.load(securityConfiguration);
+            const results = await service.applyResourcePolicies(user, [
+                {locator: 'api.account.updateOne', contextParams: {account: {locked: false}}}
+            ]);
+            expect(results['api.account.updateOne'].setting).toEqual('allowed');
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {account: {locked: true}})).toBeRejectedWithError('RESOURCE_DENIED');
+        });
+
+        it('should evaluate condition expressions', async () => {
+            securityConfiguration.policies[1].settings[0].condition = 'account.isLocked && !account.isAdmin';
+            securityConfiguration.conditionFactories[0].isAdmin = (params, contextParams) => contextParams.admin;
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {account: {locked: true}, admin: true});
+            expect(explanation.candidates[1].enabled).toBeFalse();
+            expect(explanation.denied).toBeFalse();
+        });
+
+        it('should not load a policy with an invalid condition expression', () => {
+            securityConfiguration.policies[1].settings[0].condition = 'account.isLocked &&';
+            expect(service.reload(securityConfiguration).errors[0]).toContain('Invalid condition expression [account.isLocked &&]: unexpected end');
+        });
+
+        it('should fail when an asynchronous condition fails', async () => {
+            securityConfiguration.conditionFactories[0].isLocked = () => Promise.reject(new Error('Database unavailable'));
+            service.load(securityConfiguration);
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('Database unavailable');
+        });
+
+        it('should explain that the default setting was used', async () => {
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            user.permissionRoleCode = 'Guest';
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.candidates).toEqual([]);
+            expect(explanation.winner).toBeNull();
+            expect(explanation.usedDefault).toBeTrue();
+            expect(explanation.setting.value).toEqual('denied');
+        });
+    });
+
+    describe('conflicting settings', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.resourceTypes[0].settings.push({value: 'limited', priority: 1});
+            securityConfiguration.policies.push({
+                name: 'Limit Policy',
+                settings: [
+                    {
+                        setting: 'limited',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'limited'}
+                        ]
+                    }
+                ]
+            });
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [
+                    {name: 'Account Policy', settings: ['update']},
+                    {name: 'Limit Policy', settings: ['limited']}
+                ]
+            }));
+            user = createUser();
+        });
+
+        it('should keep the setting of the first policy by default', async () => {
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.setting.value).toEqual('allowed');
+            expect(explanation.conflict.strategy).toEqual('first');
+            expect(_.map(explanation.conflict.candidates, 'policy')).toEqual(['Account Policy', 'Limit Policy']);
+        });
+
+        it('should resolve the conflict with the most restrictive setting', async () => {
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'most-restrictive';
+            securityConfiguration.resourceTypes[0].restrictionOrder = ['denied', 'limited', 'allowed'];
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.setting.value).toEqual('limited');
+        });
+
+        it('should resolve the conflict with the most permissive setting', async () => {
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'most-permissive';
+            securityConfiguration.resourceTypes[0].restrictionOrder = ['denied', 'limited', 'allowed'];
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.setting.value).toEqual('allowed');
+        });
+
+        it('should resolve the conflict with the tie break order', async () => {
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'order';
+            securityConfiguration.resourceTypes[0].tieBreakOrder = ['limited', 'allowed', 'denied'];
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.setting.value).toEqual('limited');
+        });
+
+        it('should fail to apply a resource with conflicting settings', async () => {
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'error';
+            service.load(securityConfiguration);
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError(
+                'Conflicting settings [allowed,limited] with priority 1 for protected resource [Update Account Api] from policies [Account Policy/update,Limit Policy/limited]'
+            );
+        });
+
+        it('should not load a strategy unable to rank the settings', () => {
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'most-restrictive';
+            securityConfiguration.resourceTypes[0].restrictionOrder = ['denied', 'allowed'];
+            expect(service.reload(securityConfiguration).errors[0]).toContain('restrictionOrder must list each setting of the type once [allowed,denied,limited]');
+            securityConfiguration.resourceTypes[0].conflictStrategy = 'random';
+            expect(service.reload(securityConfiguration).errors[0]).toContain('Unsupported conflictStrategy [random]');
+        });
+
+        it('should list the conflicts found at load time', () => {
+            service.load(securityConfiguration);
+            expect(service.getPolicyConflicts()).toEqual([{
+                resource: 'Update Account Api',
+                type: 'api',
+                strategy: 'first',
+                priority: 1,
+                candidates: [
+                    {policy: 'Account Policy', policySetting: 'update', setting: 'allowed'},
+                    {policy: 'Limit Policy', policySetting: 'limited', setting: 'limited'}
+                ]
+            }]);
+        });
+    });
+
+    describe('applyResourcePolicies', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.dictionary.push({
+                name: 'Delete Account Api',
+                type: 'api',
+                locator: 'api.account.deleteOne',
+                defaultSetting: 'denied'
+            });
+            securityConfiguration.userPolicyCache = false;
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should evaluate all resources with a single compilation of the user policy', async () => {
+            const results = await service.applyResourcePolicies(user, [
+                {locator: 'api.account.updateOne', contextParams: {}},
+                {locator: 'api.account.deleteOne', contextParams: {}},
+                {locator: 'api.unknown', contextParams: {}}
+            ]);
+            expect(results).toEqual({
+                'api.account.updateOne': {result: true, setting: 'allowed', denied: false},
+                'api.account.deleteOne': {result: false, setting: 'denied', denied: true},
+                'api.unknown': {result: false, setting: null, denied: true, error: 'Protected resource [api.unknown] undefined'}
+            });
+            expect(securityConfiguration.findRoleByUser).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject the resources listed more than once', async () => {
+            await expectAsync(service.applyResourcePolicies(user, [
+                {locator: 'api.account.updateOne', contextParams: {account: {id: 1}}},
+                {locator: 'api.account.deleteOne', contextParams: {}},
+                {locator: 'api.account.updateOne', contextParams: {account: {id: 2}}}
+            ])).toBeRejectedWithError('Protected resources [api.account.updateOne] are listed more than once');
+            expect(securityConfiguration.findRoleByUser).not.toHaveBeenCalled();
+        });
+
+        it('should grant all resources to a user without role', async () => {
+            user.permissionRoleCode = null;
+            const results = await service.applyResourcePolicies(user, [{locator: 'api.account.deleteOne'}]);
+            expect(results).toEqual({
+                'api.account.deleteOne': {result: true, setting: null, denied: false}
+            });
+        });
+    });
+
+    describe('locator patterns', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.dictionary.push(
+                {name: 'Account Apis', type: 'api', locator: 'api.account.*', defaultSetting: 'allowed'},
+                {name: 'All Apis', type: 'api', locator: 'api.**', defaultSetting: 'denied'}
+            );
+            user = createUser();
+        });
+
+        it('should protect locators with the most specific dictionary entry', async () => {
+            service.load(securityConfiguration);
+            const results = await service.applyResourcePolicies(user, [
+                {locator: 'api.account.updateOne'},
+                {locator: 'api.account.history'},
+                {locator: 'api.report.balance'}
+            ]);
+            expect(results['api.account.updateOne'].setting).toEqual('allowed');
+            expect(results['api.account.history'].setting).toEqual('allowed');
+            expect(results['api.report.balance'].denied).toBeTrue();
+        });
+
+        it('should not load ambiguous patterns', () => {
+            securityConfiguration.dictionary.push({name: 'Update Apis', type: 'api', locator: 'api.*.updateOne', defaultSetting: 'allowed'});
+            expect(() => service.load(securityConfiguration)).toThrowError('Invalid Application Security Configuration');
+            const validation = service.reload(securityConfiguration);
+            expect(validation.errors[0]).toContain('Ambiguous locator patterns [api.account.*] of protected resource [Account Apis] and [api.*.updateOne] of protected resource [Update Apis]');
+        });
+    });
+
+    describe('params schema', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies[0].settings.push({
+                setting: 'limited',
+                condition: 'amount.isBelow',
+                paramsSchema: {
+                    type: 'object',
+                    properties: {maxAmount: {type: 'number'}},
+                    required: ['maxAmount']
+                },
+                protectedResources: [{resource: 'Update Account Api', setting: 'allowed'}]
+            });
+            securityConfiguration.conditionFactories = [{
+                factory: 'amount',
+                isBelow: (params, contextParams) => contextParams.amount < params.maxAmount
+            }];
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should validate the role params', () => {
+            expect(service.validateRole({
+                name: 'Clerk',
+                policies: [
+                    {name: 'Account Policy', settings: [{value: 'limited', params: {maxAmount: 'ten'}}, 'unknown']},
+                    {name: 'Unknown Policy', settings: ['read']}
+                ]
+            })).toEqual([
+                'Invalid params for policy [Account Policy] setting [limited]: params.maxAmount must be a number',
+                'Setting ["unknown"] does NOT exist for policy [Account Policy]',
+                'Policy [Unknown Policy] does NOT exist'
+            ]);
+            expect(service.validateRole({
+                name: 'Clerk',
+                policies: [{name: 'Account Policy', settings: [{value: 'limited', params: {maxAmount: 10}}]}]
+            })).toEqual([]);
+        });
+
+        it('should not apply a role with invalid params', async () => {
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({
+                name: 'Clerk',
+                policies: [{name: 'Account Policy', settings: [{value: 'limited'}]}]
+            }));
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {amount: 5}))
+                .toBeRejectedWithError(/Invalid params for policy \[Account Policy\] setting \[limited\]: params.maxAmount is required/);
+        });
+
+        it('should not load an invalid params schema', () => {
+            securityConfiguration.policies[0].settings[1].paramsSchema.type = 'date';
+            expect(service.reload(securityConfiguration).errors[0]).toContain('Unsupported type [date] in schema of params');
+        });
+    });
+
+    describe('audit', () => {
+        let securityConfiguration, user, sink;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            service.load(securityConfiguration);
+            user = createUser();
+            sink = audit.addSink(audit.createMemorySink());
+        });
+
+        afterEach(() => {
+            audit.removeAllSinks();
+        });
+
+        it('should audit a granted resource', async () => {
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {account: {}});
+            expect(sink.getEvents()).toEqual([{
+                timestamp: jasmine.any(String),
+                userId: 'userId',
+                tenantId: 'tenantId',
+                locator: 'api.account.updateOne',
+                resource: 'Update Account Api',
+                setting: 'allowed',
+                policy: {name: 'Account Policy', setting: 'update'},
+                usedDefault: false,
+                contextKeys: ['account'],
+                outcome: 'granted'
+            }]);
+        });
+
+        it('should audit a denied resource', async () => {
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+            expect(sink.getEvents()[0]).toEqual(jasmine.objectContaining({
+                setting: 'denied',
+                policy: null,
+                usedDefault: true,
+                outcome: 'denied'
+            }));
+        });
+
+        it('should audit an undefined resource', async () => {
+            await expectAsync(service.applyResourcePolicy(user, 'api.unknown', {})).toBeRejected();
+            expect(sink.getEvents()[0]).toEqual(jasmine.objectContaining({
+                locator: 'api.unknown',
+                outcome: 'error',
+                error: 'Protected resource [api.unknown] undefined'
+            }));
+        });
+
+        it('should audit a user without role', async () => {
+            user.permissionRoleCode = null;
+            await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(sink.getEvents()[0]).toEqual(jasmine.objectContaining({outcome: 'granted', reason: 'NO_ROLE'}));
+        });
+    });
+
+    describe('users with multiple roles', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            user = createUser();
+        });
+
+        it('should merge the client policy settings of all roles', async () => {
+            securityConfiguration = {
+                dictionary: createDictionary(),
+                resourceTypes: createDictionaryResourceTypes(),
+                policies: [createPolicy()],
+                findUserByTenantIdAndId: _.noop,
+                findRoleByUser: () => Promise.resolve([
+                    {name: 'Auditor', policies: [{name: 'Account Policy', settings: ['read']}]},
+                    {name: 'Manager', policies: [{name: 'Account Policy', settings: ['Update', 'read']}]}
+                ]),
+                defaultRole: 'Manager',
+                conditionFactories: []
+            };
+            service.load(securityConfiguration);
+            const securityData = await service.collectClientUserPolicy(user);
+            expect(securityData.policies.length).toEqual(1);
+            expect(_.map(securityData.policies[0].settings, 'setting')).toEqual(['read', 'Update']);
+        });
+
+        it('should resolve conflicts between roles with the resource type priority', async () => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies.push({
+                name: 'Audit Policy',
+                settings: [{
+                    setting: 'readOnly',
+                    protectedResources: [{resource: 'Update Account Api', setting: 'denied'}]
+                }]
+            });
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve([
+                {name: 'Manager', policies: [{name: 'Account Policy', settings: ['update']}]},
+                {name: 'Auditor', policies: [{name: 'Audit Policy', settings: ['readOnly']}]}
+            ]));
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.candidates.length).toEqual(2);
+            expect(explanation.winner.policy).toEqual('Audit Policy');
+        });
+
+        it('should only apply the default setting of a policy that none of the roles selects', async () => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies[0].defaultSetting = 'none';
+            securityConfiguration.policies[0].settings.push({
+                setting: 'none',
+                protectedResources: [{resource: 'Update Account Api', setting: 'denied'}]
+            });
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve([
+                {name: 'Manager', policies: [{name: 'Account Policy', settings: ['update']}]},
+                {name: 'Auditor', policies: []}
+            ]));
+            service.load(securityConfiguration);
+            expect((await service.applyResourcePolicy(user, 'api.account.updateOne', {})).result).toBeTrue();
+
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve([{name: 'Auditor', policies: []}]));
+            service.load(securityConfiguration);
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+        });
+
+        it('should use the default role when the user has no role', async () => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve([]));
+            securityConfiguration.findRole = jasmine.createSpy('findRole').and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [{name: 'Account Policy', settings: ['update']}]
+            }));
+            service.load(securityConfiguration);
+            const result = await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+            expect(securityConfiguration.findRole).toHaveBeenCalledWith('Manager', 'tenantId');
+        });
+    });
+
+    describe('simulate', () => {
+        let securityConfiguration, roles;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.dictionary.push({name: 'Delete Account Api', type: 'api', locator: 'api.account.deleteOne', defaultSetting: 'denied'});
+            securityConfiguration.policies[0].settings.push({
+                setting: 'delete',
+                condition: 'account.isClosed',
+                protectedResources: [
+                    {resource: 'Delete Account Api', setting: 'allowed'}
+                ]
+            });
+            securityConfiguration.conditionFactories = [{
+                factory: 'account',
+                isClosed: (params, contextParams) => contextParams.account.closed
+            }];
+            roles = {
+                Manager: {name: 'Manager', policies: [{name: 'Account Policy', settings: ['update']}]}
+            };
+            securityConfiguration.findRole = (name) => Promise.resolve(roles[name]);
+            service.load(securityConfiguration);
+        });
+
+        it('should calculate the setting of each protected resource', async () => {
+            const simulation = await service.simulate(roles.Manager);
+            expect(simulation).toEqual({
+                role: 'Manager',
+                env: 'server',
+                resources: {
+                    'api.account.updateOne': {resource: 'Update Account Api', setting: 'allowed', policy: {name: 'Account Policy', setting: 'update'}, usedDefault: false},
+                    'api.account.deleteOne': {resource: 'Delete Account Api', setting: 'denied', policy: null, usedDefault: true}
+                }
+            });
+            expect(securityConfiguration.findRoleByUser).not.toHaveBeenCalled();
+        });
+
+        it('should compare with the current version of the role', async () => {
+            const updatedRole = {name: 'Manager', policies: [{name: 'Account Policy', settings: ['delete']}]};
+            const simulation = await service.simulate(updatedRole, {compareWith: 'Manager', contextParams: {account: {closed: true}}});
+            expect(simulation.diff).toEqual([
+                {locator: 'api.account.updateOne', resource: 'Update Account Api', before: 'allowed', after: 'denied'},
+                {locator: 'api.account.deleteOne', resource: 'Delete Account Api', before: 'denied', after: 'allowed'}
+            ]);
+        });
+
+        it('should report the resources whose setting cannot be calculated', async () => {
+            const role = {name: 'Closer', policies: [{name: 'Account Policy', settings: ['delete']}]};
+            const simulation = await service.simulate(role, {locators: ['api.account.deleteOne', 'api.account.closeOne']});
+            expect(simulation.resources['api.account.deleteOne'].error).toContain('Cannot read properties of undefined');
+            expect(simulation.resources['api.account.closeOne']).toEqual({error: 'Protected resource [api.account.closeOne] undefined'});
+        });
+
+        it('should use the provided condition factories', async () => {
+            const role = {name: 'Closer', policies: [{name: 'Account Policy', settings: ['delete']}]};
+            const simulation = await service.simulate(role, {conditionFactories: [{factory: 'account', isClosed: () => true}]});
+            expect(simulation.resources['api.account.deleteOne'].setting).toEqual('allowed');
+        });
+
+        it('should list the settings of negated conditions as conditional when ignoring conditions', async () => {
+            securityConfiguration.policies[0].settings[1].condition = '!account.isClosed';
+            service.load(securityConfiguration);
+            const role = {name: 'Closer', policies: [{name: 'Account Policy', settings: ['delete']}]};
+            const simulation = await service.simulate(role, {ignoreConditions: true});
+            expect(simulation.resources['api.account.deleteOne']).toEqual({
+                resource: 'Delete Account Api',
+                setting: 'denied',
+                policy: null,
+                usedDefault: true,
+                conditionalSettings: ['allowed']
+            });
+        });
+    });
+
+    describe('role inheritance', () => {
+        let securityConfiguration, roles;
+
+        beforeEach(() => {
+            roles = {
+                Base: {
+                    name: 'Base',
+                    policies: [
+                        {name: 'Account Policy', settings: ['read']},
+                        {name: 'Report Policy', settings: ['view']}
+                    ]
+                },
+                Employee: {
+                    name: 'Employee',
+                    extends: 'Base',
+                    policies: [{name: 'Time Policy', settings: ['submit']}]
+                },
+                Manager: {
+                    name: 'Manager',
+                    extends: 'Employee',
+                    policies: [{name: 'Account Policy', settings: ['update']}]
+                }
+            };
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.findRole = (name) => Promise.resolve(roles[name]);
+            service.load(securityConfiguration);
+        });
+
+        it('should flatten a role with its ancestors', async () => {
+            const role = await service.flattenRole('Manager');
+            expect(role.inheritance).toEqual(['Employee', 'Base']);
+            expect(role.policies).toEqual([
+                {name: 'Account Policy', settings: ['update']},
+                {name: 'Report Policy', settings: ['view'], inheritedFrom: 'Base'},
+                {name: 'Time Policy', settings: ['submit'], inheritedFrom: 'Employee'}
+            ]);
+        });
+
+        it('should detect inheritance cycles', async () => {
+            roles.Base.extends = 'Manager';
+            await expectAsync(service.flattenRole('Manager')).toBeRejectedWithError('Role inheritance cycle detected: Manager -> Employee -> Base -> Manager');
+        });
+
+        it('should fail when the parent role does not exist', async () => {
+            roles.Employee.extends = 'Unknown';
+            await expectAsync(service.flattenRole(roles.Manager)).toBeRejectedWithError('Role [Unknown] extended by role [Employee] does not exist');
+        });
+
+        it('should apply the inherited policy settings', async () => {
+            roles.Base.policies = [{name: 'Account Policy', settings: ['update']}];
+            roles.Manager.policies = [];
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve(roles.Manager));
+            const result = await service.applyResourcePolicy(createUser(), 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+        });
+    });
+
+    describe('security errors', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies[0].settings.push({
+                setting: 'lockedAccounts',
+                condition: 'account.isLocked',
+                protectedResources: [
+                    {resource: 'Update Account Api', setting: 'denied'}
+                ]
+            });
+            securityConfiguration.conditionFactories = [{
+                factory: 'account',
+                isLocked: (params, contextParams) => contextParams.account.locked
+            }];
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [{name: 'Account Policy', settings: ['update', 'lockedAccounts']}]
+            }));
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should reject a denied resource with a ResourceDeniedError', async () => {
+            const err = await service.applyResourcePolicy(user, 'api.account.updateOne', {account: {locked: true}}).catch((err) => err);
+            expect(err instanceof SecurityErrors.ResourceDeniedError).toBeTrue();
+            expect(err.message).toBe('RESOURCE_DENIED');
+            expect(err.status).toBe(403);
+            expect(err.toJSON()).toEqual({
+                error: 'RESOURCE_DENIED',
+                message: 'RESOURCE_DENIED',
+                locator: 'api.account.updateOne',
+                userId: 'userId',
+                tenantId: 'tenantId',
+                resource: 'Update Account Api',
+                setting: 'denied',
+                policy: {name: 'Account Policy', setting: 'lockedAccounts'}
+            });
+        });
+
+        it('should reject an undefined locator with an UnknownProtectedResourceError', async () => {
+            const err = await service.applyResourcePolicy(user, 'api.account.closeOne', {}).catch((err) => err);
+            expect(err instanceof SecurityErrors.UnknownProtectedResourceError).toBeTrue();
+            expect(err.code).toBe('UNKNOWN_PROTECTED_RESOURCE');
+            expect(err.status).toBe(500);
+            expect(err.locator).toBe('api.account.closeOne');
+        });
+
+        it('should reject a failing condition with a ConditionEvaluationError', async () => {
+            const err = await service.applyResourcePolicy(user, 'api.account.updateOne', {}).catch((err) => err);
+            expect(err instanceof SecurityErrors.ConditionEvaluationError).toBeTrue();
+            expect(err.policy).toEqual({name: 'Account Policy', setting: 'lockedAccounts'});
+            expect(err.condition).toBe('account.isLocked');
+            expect(err.cause instanceof TypeError).toBeTrue();
+        });
+
+        it('should throw an InvalidPolicyError when the configuration is invalid', () => {
+            securityConfiguration.policies[0].settings[0].protectedResources[0].setting = 'unknown';
+            expect(() => service.load(securityConfiguration)).toThrowMatching((err) =>
+                err instanceof SecurityErrors.InvalidPolicyError && err.status === 500 && err.errors.length === 1
+            );
+        });
+    });
+
+    describe('strict mode', () => {
+        let securityConfiguration, user, sink;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.strictMode = true;
+            securityConfiguration.findRole = jasmine.createSpy('findRole').and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [{name: 'Account Policy', settings: ['update']}]
+            }));
+            service.load(securityConfiguration);
+            user = createUser();
+            sink = audit.createMemorySink();
+            audit.addSink(sink);
+        });
+
+        afterEach(() => {
+            audit.removeAllSinks();
+        });
+
+        it('should evaluate the users without role with the default role', async () => {
+            user.permissionRoleCode = null;
+            const result = await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+            expect(securityConfiguration.findRole).toHaveBeenCalledWith('Manager', 'tenantId');
+            expect(securityConfiguration.findRoleByUser).not.toHaveBeenCalled();
+        });
+
+        it('should deny the users without role', async () => {
+            securityConfiguration.strictMode = {usersWithoutRole: 'deny'};
+            service.load(securityConfiguration);
+            user.permissionRoleCode = null;
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+            expect(sink.getEvents()[0]).toEqual(jasmine.objectContaining({outcome: 'denied', reason: 'NO_ROLE'}));
+            const clientPolicy = await service.collectClientUserPolicy(user);
+            expect(clientPolicy.policies).toEqual([]);
+            expect(clientPolicy.dictionary).toBeDefined();
+        });
+
+        it('should evaluate the users whose role was removed with the default role', async () => {
+            securityConfiguration.findRole.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            expect((await service.applyResourcePolicy(user, 'api.account.updateOne', {})).result).toBeTrue();
+            delete user.permissionRoleCode;
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+        });
+
+        it('should enforce the policies of tenant admins unless admin bypass is enabled', async () => {
+            user.isTenantAdmin = () => true;
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+
+            securityConfiguration.strictMode = {adminBypass: true};
+            service.load(securityConfiguration);
+            const result = await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+            expect(_.last(sink.getEvents())).toEqual(jasmine.objectContaining({outcome: 'granted', reason: 'ADMIN_BYPASS'}));
+        });
+
+        it('should deny unknown locators', async () => {
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.closeOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+            expect(sink.getEvents()[0]).toEqual(jasmine.objectContaining({outcome: 'denied', reason: 'UNKNOWN_LOCATOR'}));
+            const results = await service.applyResourcePolicies(user, [{locator: 'api.account.closeOne'}]);
+            expect(results['api.account.closeOne']).toEqual({
+                result: false,
+                setting: null,
+                denied: true,
+                error: 'Unknown protected resource [api.account.closeOne] is denied in strict mode'
+            });
+            const explanation = await service.explainResourcePolicy(user, 'api.account.closeOne', {});
+            expect(explanation.reason).toEqual('UNKNOWN_LOCATOR');
+            expect(explanation.denied).toBeTrue();
+        });
+
+        it('should be configurable per tenant', async () => {
+            securityConfiguration.strictMode = false;
+            securityConfiguration.tenants = {regulatedTenant: {strictMode: {usersWithoutRole: 'deny'}}};
+            service.load(securityConfiguration);
+            user.permissionRoleCode = null;
+            expect((await service.applyResourcePolicy(user, 'api.account.updateOne', {})).result).toBeTrue();
+            user.tenantId = 'regulatedTenant';
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+        });
+
+        it('should not load invalid strict mode options', () => {
+            securityConfiguration.strictMode = {usersWithoutRole: 'guest'};
+            expect(service.reload(securityConfiguration).errors[0]).toEqual('strictMode usersWithoutRole must be defaultRole or deny, not [guest]');
+            expect(() => service.load(securityConfiguration)).toThrowMatching((err) => err.code === 'INVALID_POLICY' && err.status === 500);
+        });
+    });
+
+    describe('tenant configuration', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.policies[0].defaultSetting = 'update';
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should use the system configuration when the tenant has no overrides', async () => {
+            const result = await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+            expect(service.getSecurityConfiguration('tenantId')).toBe(service.getSystemSecurityConfiguration());
+        });
+
+        it('should override the policy default setting', async () => {
+            service.setTenantConfiguration('tenantId', {policyDefaultSettings: {'Account Policy': null}});
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.usedDefault).toBeTrue();
+            expect(explanation.denied).toBeTrue();
+        });
+
+        it('should override the dictionary default setting', async () => {
+            service.setTenantConfiguration('tenantId', {
+                policyDefaultSettings: {'Account Policy': null},
+                dictionaryDefaultSettings: {'Update Account Api': 'allowed'}
+            });
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.usedDefault).toBeTrue();
+            expect(explanation.denied).toBeFalse();
+            // other tenants are not impacted
+            expect(service.getSystemSecurityConfiguration().dictionary[0].defaultSetting).toEqual('denied');
+        });
+
+        it('should add tenant policies', async () => {
+            service.setTenantConfiguration('tenantId', {
+                policies: [{
+                    name: 'Tenant Lock Policy',
+                    defaultSetting: 'locked',
+                    settings: [{setting: 'locked', protectedResources: [{resource: 'Update Account Api', setting: 'denied'}]}]
+                }]
+            });
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.winner.policy).toEqual('Tenant Lock Policy');
+            expect(_.map(service.getSecurityConfiguration('tenantId').policies, 'name')).toEqual(['Account Policy', 'Tenant Lock Policy']);
+            expect(_.map(service.getSecurityConfiguration('otherTenantId').policies, 'name')).toEqual(['Account Policy']);
+        });
+
+        it('should validate tenant overrides with the integrity checks', () => {
+            expect(() => service.setTenantConfiguration('tenantId', {dictionaryDefaultSettings: {'Update Account Api': 'unknown'}}))
+                .toThrowError('Invalid Application Security Configuration');
+            expect(() => service.setTenantConfiguration('tenantId', {policyDefaultSettings: {'Unknown Policy': 'update'}})).toThrowMatching((err) =>
+                err instanceof SecurityErrors.InvalidPolicyError && err.status === 500 && err.tenantId === 'tenantId' &&
+                err.errors[0] === 'Tenant default setting [update] is set to an undefined policy [Unknown Policy]'
+            );
+            expect(() => service.setTenantConfiguration('tenantId', {strictMode: {adminBypass: 'yes'}})).toThrowMatching((err) =>
+                err.code === 'INVALID_POLICY' && err.tenantId === 'tenantId' && err.details[0].section === 'strictMode'
+            );
+        });
+
+        it('should load tenant overrides from the configuration', async () => {
+            securityConfiguration.tenants = {tenantId: {policyDefaultSettings: {'Account Policy': null}}};
+            service.load(securityConfiguration);
+            const explanation = await service.explainResourcePolicy(user, 'api.account.updateOne', {});
+            expect(explanation.denied).toBeTrue();
+        });
+    });
+
+    describe('reload', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should swap in a valid configuration', async () => {
+            const newConfiguration = createServerSecurityConfiguration();
+            newConfiguration.policies[0].settings[0].protectedResources[0].setting = 'denied';
+            expect(service.reload(newConfiguration)).toEqual({valid: true, errors: []});
+            expect(service.getSystemSecurityConfiguration().policies[0]).toBe(newConfiguration.policies[0]);
+            await expectAsync(service.applyResourcePolicy(user, 'api.account.updateOne', {})).toBeRejectedWithError('RESOURCE_DENIED');
+        });
+
+        it('should keep the current configuration when the new one is invalid', async () => {
+            const currentSecurityData = service.getSystemSecurityConfiguration();
+            const newConfiguration = createServerSecurityConfiguration();
+            newConfiguration.policies[0].settings[0].protectedResources[0].setting = 'unknown';
+            const validation = service.reload(newConfiguration);
+            expect(validation.valid).toBeFalse();
+            expect(validation.errors.length).toEqual(1);
+            expect(validation.errors[0]).toContain('Resource [Update Account Api] uses an undefined setting [unknown]');
+            expect(service.getSystemSecurityConfiguration()).toBe(currentSecurityData);
+            const result = await service.applyResourcePolicy(user, 'api.account.updateOne', {});
+            expect(result.result).toBeTrue();
+        });
+
+        it('should keep the tenant configurations', () => {
+            service.setTenantConfiguration('tenantId', {dictionaryDefaultSettings: {'Update Account Api': 'allowed'}});
+            service.reload(createServerSecurityConfiguration());
+            expect(service.getSecurityConfiguration('tenantId').dictionary[0].defaultSetting).toEqual('allowed');
+        });
+    });
+
+    describe('findUsersByRole', () => {
+        it('should resolve null when the configuration cannot find the users of a role', async () => {
+            service.load(createServerSecurityConfiguration());
+            expect(await service.findUsersByRole('tenantId', 'Manager')).toBeNull();
+        });
+
+        it('should find the users with the configuration', async () => {
+            const securityConfiguration = createServerSecurityConfiguration();
+            const user = createUser();
+            securityConfiguration.findUsersByRole = jasmine.createSpy('findUsersByRole').and.returnValue(Promise.resolve([user]));
+            service.load(securityConfiguration);
+            expect(await service.findUsersByRole('tenantId', 'Manager')).toEqual([user]);
+            expect(securityConfiguration.findUsersByRole).toHaveBeenCalledWith('tenantId', 'Manager');
+        });
+    });
+
+    describe('client payload', () => {
+        let securityConfiguration, user;
+
+        beforeEach(() => {
+            securityConfiguration = createServerSecurityConfiguration();
+            securityConfiguration.resourceTypes = securityConfiguration.resourceTypes.concat(createDictionaryResourceTypes());
+            securityConfiguration.dictionary = securityConfiguration.dictionary.concat(createDictionary());
+            securityConfiguration.policies.push({
+                name: 'Account Screen Policy',
+                settings: [
+                    {setting: 'edit', protectedResources: [{resource: 'Account Screen Form', setting: 'edit'}]},
+                    {setting: 'create', condition: 'account.isNew', protectedResources: [{resource: 'Account Screen Form', setting: 'create'}]}
+                ]
+            });
+            securityConfiguration.conditionFactories = [{factory: 'account', isNew: () => true}];
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({
+                name: 'Manager',
+                policies: [{name: 'Account Screen Policy', settings: ['edit', 'create']}]
+            }));
+            service.load(securityConfiguration);
+            user = createUser();
+        });
+
+        it('should keep the same revision while the user policy is unchanged', async () => {
+            const payload = await service.collectClientUserPolicy(user);
+            expect(await service.collectClientUserPolicy(user)).toEqual(payload);
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            expect((await service.collectClientUserPolicy(user)).revision).not.toEqual(payload.revision);
+        });
+
+        it('should keep the same revision after reloading an identical configuration', async () => {
+            const payload = await service.collectClientUserPolicy(user);
+            const identicalConfiguration = _.assign({}, securityConfiguration, {dictionary: _.map(securityConfiguration.dictionary, (resource) => _.omit(resource, 'id'))});
+            service.reload(identicalConfiguration);
+            expect((await service.collectClientUserPolicy(user)).revision).toEqual(payload.revision);
+        });
+
+        it('should list the negated conditions of the compact payload', async () => {
+            securityConfiguration.policies[1].settings[1].condition = '!account.isNew';
+            service.load(securityConfiguration);
+            const payload = await service.collectClientUserPolicy(user, {format: 'compact'});
+            expect(payload.resources.account).toEqual({
+                type: 'screenForm',
+                setting: {value: 'edit', priority: 0},
+                conditions: [{condition: '!account.isNew', params: undefined, setting: {value: 'create', priority: 0}}]
+            });
+        });
+
+        it('should only provide the setting of each client protected resource in compact format', async () => {
+            const payload = await service.collectClientUserPolicy(user, {format: 'compact'});
+            expect(payload.format).toEqual('compact');
+            expect(payload.policies).toBeUndefined();
+            expect(payload.resources).toEqual({
+                accountOption: {type: 'AppMenuItem', setting: {value: 'show', priority: 1}, conditions: []},
+                account: {
+                    type: 'screenForm',
+                    setting: {value: 'edit', priority: 0},
+                    conditions: [{condition: 'account.isNew', params: undefined, setting: {value: 'create', priority: 0}}]
+                }
+            });
+        });
+
+        it('should diff the compact payloads', async () => {
+            const previousPayload = await service.collectClientUserPolicy(user, {format: 'compact'});
+            expect(service.diffClientUserPolicy(previousPayload, previousPayload)).toBeNull();
+            securityConfiguration.findRoleByUser.and.returnValue(Promise.resolve({name: 'Guest', policies: []}));
+            const payload = await service.collectClientUserPolicy(user, {format: 'compact'});
+            const diff = service.diffClientUserPolicy(previousPayload, payload);
+            expect(diff.format).toEqual('diff');
+            expect(diff.revision).toEqual(payload.revision);
+            expect(diff.baseRevision).toEqual(previousPayload.revision);
+            expect(diff.resources).toEqual({account: {type: 'screenForm', setting: {value: 'readOnly', priority: 1}, conditions: []}});
+            expect(diff.removedResources).toEqual([]);
+        });
+
+        it('should reject an unsupported format', () => {
+            expect(() => service.collectClientUserPolicy(user, {format: 'xml'})).toThrowError('Unsupported client security payload format [xml]');
+        });
+    });
+
+    describe('policy definitions', () => {
+        beforeEach(() => {
+            service.load(createServerSecurityConfiguration());
+        });
+
+        it('should keep the same id and revision across reloads', () => {
+            const definitions = service.getPolicyDefinitions();
+            service.reload(createServerSecurityConfiguration());
+            expect(service.getPolicyDefinitions()).toEqual(definitions);
+            expect(definitions[0].id).toMatch(/^[0-9a-f]{40}$/);
+            expect(definitions[0].settings[0].value).toEqual('update');
+        });
+
+        it('should change the revision when the policy changes', () => {
+            const previousDefinitions = service.getPolicyDefinitions();
+            const newConfiguration = createServerSecurityConfiguration();
+            newConfiguration.policies[0].description = 'Manage the accounts';
+            service.reload(newConfiguration);
+            const definitions = service.getPolicyDefinitions();
+            expect(definitions[0].id).toEqual(previousDefinitions[0].id);
+            expect(definitions[0].revision).not.toEqual(previousDefinitions[0].revision);
+            expect(service.diffPolicyDefinitions(previousDefinitions, definitions)).toEqual({updated: definitions, removed: []});
+            expect(service.diffPolicyDefinitions(definitions, definitions)).toEqual({updated: [], removed: []});
+        });
+
+        it('should list the tenant policies added and removed', () => {
+            const systemDefinitions = service.getPolicyDefinitions('tenantId');
+            service.setTenantConfiguration('tenantId', {
+                policies: [{name: 'Tenant Lock Policy', settings: [{setting: 'locked', protectedResources: [{resource: 'Update Account Api', setting: 'denied'}]}]}]
+            });
+            const tenantDefinitions = service.getPolicyDefinitions('tenantId');
+            expect(_.map(tenantDefinitions, 'name')).toEqual(['Account Policy', 'Tenant Lock Policy']);
+            expect(_.map(service.diffPolicyDefinitions(systemDefinitions, tenantDefinitions).updated, 'name')).toEqual(['Tenant Lock Policy']);
+            expect(_.map(service.diffPolicyDefinitions(tenantDefinitions, systemDefinitions).removed, 'name')).toEqual(['Tenant Lock Policy']);
+        });
+    });
+
+    function createUser() {
+        return {
+            id: 'userId',
+            tenantId: 'tenantId',
+            display: 'John',
+            permissionRoleCode: 'Manager',
+            isTenantAdmin: () => false
+        };
+    }
+
+    function createServerSecurityConfiguration() {
+        return {
+            dictionary: [
+                {
+                    name: 'Update Account Api',
+                    type: 'api',
+                    locator: 'api.account.updateOne',
+                    defaultSetting: 'denied'
+                }
+            ],
+            resourceTypes: [{
+                name: 'api',
+                env: 'server',
+                settings: [
+                    {value: 'allowed', priority: 1},
+                    {value: 'denied', priority: 0}
+                ],
+                apply: (setting) => setting.value === 'allowed'
+            }],
+            policies: [{
+                name: 'Account Policy',
+                settings: [
+                    {
+                        setting: 'update',
+                        protectedResources: [
+                            {resource: 'Update Account Api', setting: 'allowed'}
+                        ]
+                    }
+                ]
+            }],
+            findUserByTenantIdAndId: _.noop,
+            findRoleByUser: jasmine.createSpy('findRoleByUser').and.callFake(() => Promise.resolve({
+                name: 'Manager',
+                policies: [{name: 'Account Policy', settings: ['update']}]
+            })),
+            findRole: _.noop,
+            defaultRole: 'Manager',
+            conditionFactories: []
+        };
+    }
+
     function createDictionaryResourceTypes() {
         return [{
             name: 'AppMenuItem',
@@ -0,0 +1,69 @@
+'strict mode';
+
+const createUserPolicyCache = require('../lib/user-policy-cache');
+
+describe('User policy cache', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000;
+        spyOn(Date, 'now').and.callFake(() => now);
+    });
+
+    it('should return the cached value and count hits and misses', () => {
+        const cache = createUserPolicyCache();
+        expect(cache.get('user1')).toBeUndefined();
+        cache.set('user1', 'policy1');
+        expect(cache.get('user1')).toEqual('policy1');
+        expect(cache.getStats()).toEqual(jasmine.objectContaining({hits: 1, misses: 1, size: 1}));
+    });
+
+    it('should expire entries after the ttl', () => {
+        const cache = createUserPolicyCache({ttl: 100});
+        cache.set('user1', 'policy1');
+        now += 100;
+        expect(cache.get('user1')).toBeUndefined();
+        expect(cache.getStats().size).toEqual(0);
+    });
+
+    it('should drop the least recently used entry when full', () => {
+        const cache = createUserPolicyCache({maxSize: 2});
+        cache.set('user1', 'policy1');
+        cache.set('user2', 'policy2');
+        cache.get('user1');
+        cache.set('user3', 'policy3');
+        expect(cache.get('user2')).toBeUndefined();
+        expect(cache.get('user1')).toEqual('policy1');
+        expect(cache.get('user3')).toEqual('policy3');
+        expect(cache.getStats().evictions).toEqual(1);
+    });
+
+    it('should not return an entry stored with another stamp', () => {
+        const cache = createUserPolicyCache();
+        cache.set('user1', 'policy1', 'manager');
+        expect(cache.get('user1', 'auditor')).toBeUndefined();
+    });
+
+    it('should invalidate entries', () => {
+        const cache = createUserPolicyCache();
+        cache.set('user1', 'policy1');
+        cache.set('user2', 'policy2');
+        cache.invalidate('user1');
+        expect(cache.get('user1')).toBeUndefined();
+        cache.clear();
+        expect(cache.get('user2')).toBeUndefined();
+        expect(cache.getStats().invalidations).toEqual(2);
+    });
+
+    it('should only invalidate the entry holding the given value', () => {
+        const cache = createUserPolicyCache();
+        cache.set('user1', 'policy1');
+        cache.set('user1', 'policy2');
+        cache.invalidate('user1', 'policy1');
+        expect(cache.get('user1')).toEqual('policy2');
+        expect(cache.getStats().invalidations).toEqual(0);
+        cache.invalidate('user1', 'policy2');
+        expect(cache.get('user1')).toBeUndefined();
+        expect(cache.getStats().invalidations).toEqual(1);
+    });
+});
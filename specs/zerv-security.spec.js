@@ -0,0 +1,186 @@
+'strict mode';
+
+const _ = require('lodash');
+const zlog = require('zimit-zlog');
+zlog.setRootLogger('none');
+
+// zerv-security looks for zerv-core and zerv-sync in the require cache before loading them.
+const zervCore = {
+    apiRouter: _.noop,
+    addModule: _.noop
+};
+const zervSync = {
+    publications: {},
+    publish: function(name, fetch, dataNotification, options) {
+        zervSync.publications[name] = {fetch, dataNotification, options};
+        return zervSync;
+    },
+    notifyCreation: _.noop,
+    notifyUpdate: _.noop,
+    notifyDelete: _.noop
+};
+require.cache['/stubs/zerv-core.js'] = {id: '/stubs/zerv-core.js', exports: zervCore};
+require.cache['/stubs/zerv-sync.js'] = {id: '/stubs/zerv-sync.js', exports: zervSync};
+
+const security = require('../lib/zerv-security');
+
+describe('Zerv security', () => {
+    let securityConfiguration, users, roles;
+
+    beforeEach(() => {
+        spyOn(zervSync, 'notifyUpdate');
+        users = {
+            user1: createUser('user1', 'Manager'),
+            user2: createUser('user2', 'Manager'),
+            user3: createUser('user3', 'Director')
+        };
+        roles = {
+            Guest: {name: 'Guest', policies: []},
+            Manager: {name: 'Manager', extends: 'Guest', policies: [{name: 'Account Policy', settings: ['update']}]},
+            Director: {name: 'Director', extends: 'Manager', policies: []}
+        };
+        securityConfiguration = {
+            dictionary: [{name: 'Account menu', type: 'menu', locator: 'accountOption', defaultSetting: 'hide'}],
+            resourceTypes: [{name: 'menu', env: 'client', settings: [{value: 'show', priority: 1}, {value: 'hide', priority: 0}]}],
+            policies: [{name: 'Account Policy', settings: [{setting: 'update', protectedResources: [{resource: 'Account menu', setting: 'show'}]}]}],
+            conditionFactories: [],
+            defaultRole: 'Guest',
+            findRole: (name) => Promise.resolve(roles[name] || null),
+            findRoleByUser: (user) => Promise.resolve(roles[user.permissionRoleCode] || null),
+            findRolesExtending: (tenantId, name) => Promise.resolve(_.filter(roles, {extends: name})),
+            findUsersByRole: jasmine.createSpy('findUsersByRole').and.callFake((tenantId, roleCode) => Promise.resolve(_.filter(users, roleCode ? {permissionRoleCode: roleCode} : {}))),
+            findUserByTenantIdAndId: jasmine.createSpy('findUserByTenantIdAndId').and.callFake((tenantId, id) => Promise.resolve(users[id] || null))
+        };
+        security.initializePolicies(securityConfiguration);
+    });
+
+    afterEach(() => {
+        // the connected users are kept by the module between specs
+        _.forEach(users, (user) => _.times(5, () => release(user)));
+    });
+
+    it('should stop notifying the users whose subscription was released', async () => {
+        await subscribe(users.user1);
+        await subscribe(users.user2);
+        release(users.user2);
+        await security.setTenantConfiguration('tenantId', {policyDefaultSettings: {}});
+        expect(securityConfiguration.findUserByTenantIdAndId.calls.allArgs()).toEqual([
+            ['tenantId', 'user1'],
+            ['tenantId', 'user2'],
+            ['tenantId', 'user1']
+        ]);
+    });
+
+    it('should keep notifying a user until all the subscriptions of the user are released', async () => {
+        await subscribe(users.user1);
+        await subscribe(users.user1);
+        release(users.user1);
+        roles.Manager.policies = [];
+        await security.reloadPolicies(securityConfiguration);
+        expect(zervSync.notifyUpdate).toHaveBeenCalledWith('tenantId', 'SECURITY_CONFIG_DATA', jasmine.objectContaining({userId: 'user1'}), {onlyUserId: 'user1'});
+    });
+
+    it('should report the connected users who could not be notified', async () => {
+        await subscribe(users.user1);
+        await subscribe(users.user2);
+        securityConfiguration.findUserByTenantIdAndId.and.callFake((tenantId, id) => id === 'user2' ? Promise.reject(new Error('Database unavailable')) : Promise.resolve(users[id]));
+        const report = await security.setTenantConfiguration('tenantId', {policyDefaultSettings: {}});
+        expect(report).toEqual({
+            total: 2,
+            notified: 1,
+            failures: [{tenantId: 'tenantId', userId: 'user2', error: 'Database unavailable'}]
+        });
+    });
+
+    it('should notify the users of the role and of the roles extending it', async () => {
+        const report = await security.notifyRoleUpdate('tenantId', 'Guest', {delay: 0});
+        expect(report).toEqual({total: 3, notified: 3, failures: []});
+        expect(securityConfiguration.findUsersByRole.calls.allArgs()).toEqual([
+            ['tenantId', 'Guest'],
+            ['tenantId', 'Manager'],
+            ['tenantId', 'Director']
+        ]);
+        expect(getNotifiedUserIds()).toEqual(['user1', 'user2', 'user3']);
+    });
+
+    it('should find the roles extending the role in the role store without findRolesExtending', async () => {
+        security.setRoleStore(security.createMemoryRoleStore({tenantId: [roles.Guest, roles.Manager, roles.Director, {name: 'Auditor', policies: []}]}));
+        security.initializePolicies(_.omit(securityConfiguration, 'findRolesExtending'));
+        const report = await security.notifyRoleUpdate('tenantId', 'Guest', {delay: 0});
+        expect(report.total).toBe(3);
+        expect(securityConfiguration.findUsersByRole.calls.allArgs()).toEqual([
+            ['tenantId', 'Guest'],
+            ['tenantId', 'Manager'],
+            ['tenantId', 'Director']
+        ]);
+        security.setRoleStore(security.createMemoryRoleStore());
+    });
+
+    it('should require findUsersByRole to notify the users of a role or a tenant', async () => {
+        security.initializePolicies(_.omit(securityConfiguration, 'findUsersByRole'));
+        await expectAsync(security.notifyRoleUpdate('tenantId', 'Guest'))
+            .toBeRejectedWithError('findUsersByRole must be provided in the security configuration to notify the users of role [Guest]');
+        await expectAsync(security.notifyTenantUpdate('tenantId'))
+            .toBeRejectedWithError('findUsersByRole must be provided in the security configuration to notify the users of tenant [tenantId]');
+    });
+
+    it('should notify all the users of the tenant', async () => {
+        const report = await security.notifyTenantUpdate('tenantId', {delay: 0});
+        expect(report).toEqual({total: 3, notified: 3, failures: []});
+        expect(securityConfiguration.findUsersByRole).toHaveBeenCalledWith('tenantId', undefined);
+        expect(getNotifiedUserIds()).toEqual(['user1', 'user2', 'user3']);
+    });
+
+    it('should not notify a payload the user already received', async () => {
+        await subscribe(users.user1);
+        await security.notifyPolicyUpdate(users.user1);
+        expect(getNotifiedUserIds()).toEqual([]);
+    });
+
+    it('should notify the changes only when the user subscribed to diff payloads', async () => {
+        const payload = await subscribe(users.user1, {payload: 'diff'});
+        roles.Manager.policies = [];
+        await security.reloadPolicies(securityConfiguration);
+        expect(getNotifiedUserIds()).toEqual(['user1']);
+        const diff = zervSync.notifyUpdate.calls.mostRecent().args[2];
+        expect(diff.format).toBe('diff');
+        expect(diff.baseRevision).toBe(payload.revision);
+        expect(diff.revision).not.toBe(payload.revision);
+        expect(_.keys(diff.resources)).toEqual(['accountOption']);
+    });
+
+    it('should only notify the connected users after reloading valid policies', async () => {
+        await subscribe(users.user1);
+        roles.Manager.policies = [];
+        const validation = await security.reloadPolicies(_.assign({}, securityConfiguration, {defaultRole: null}));
+        expect(validation.valid).toBeFalse();
+        expect(getNotifiedUserIds()).toEqual([]);
+        await security.reloadPolicies(securityConfiguration);
+        expect(getNotifiedUserIds()).toEqual(['user1']);
+    });
+
+    function createUser(id, permissionRoleCode) {
+        return {
+            id,
+            tenantId: 'tenantId',
+            display: id,
+            permissionRoleCode,
+            isTenantAdmin: () => false
+        };
+    }
+
+    function subscribe(user, params) {
+        const publication = zervSync.publications['security.sync'];
+        params = params || {};
+        publication.options.init(user.tenantId, user, params);
+        return publication.fetch(user.tenantId, user, params);
+    }
+
+    function release(user) {
+        zervSync.publications['security.sync'].options.release(user.tenantId, user, {});
+    }
+
+    function getNotifiedUserIds() {
+        return _.sortBy(_.map(_.filter(zervSync.notifyUpdate.calls.allArgs(), (args) => args[1] === 'SECURITY_CONFIG_DATA'), (args) => args[3].onlyUserId));
+    }
+});